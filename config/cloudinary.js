@@ -1,6 +1,4 @@
 import { v2 as cloudinary } from 'cloudinary';
-import { CloudinaryStorage } from 'multer-storage-cloudinary';
-import multer from 'multer';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -13,17 +11,8 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-// Configure storage settings
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'crafting-sign-products', // The folder name in your Cloudinary dashboard
-    allowed_formats: ['jpg', 'png', 'jpeg', 'webp'],
-    transformation: [{ width: 1000, height: 1000, crop: 'limit' }] // Optional: Resize large images automatically
-  },
-});
-
-// Create the upload middleware
-const upload = multer({ storage: storage });
+export const isCloudinaryConfigured = () => Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET
+);
 
-export default upload;
\ No newline at end of file
+export default cloudinary;
@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import Stripe from 'stripe';
+
+// In-memory stand-in for the parts of the Stripe API this backend uses.
+// Enabled with STRIPE_MODE=local so checkout and refunds can be exercised without network access.
+// PaymentIntents are created already succeeded, as if paid with a test card.
+const localId = (prefix) => `${prefix}_local_${crypto.randomBytes(12).toString('hex')}`;
+
+const invalidRequest = (message, code = 'resource_missing') => {
+  const error = new Error(message);
+  error.type = 'StripeInvalidRequestError';
+  error.code = code;
+  error.statusCode = 400;
+  return error;
+};
+
+const createLocalStripe = () => {
+  const paymentIntents = new Map();
+  const refunds = new Map();
+
+  const getIntent = (id) => {
+    const intent = paymentIntents.get(id);
+    if (!intent) throw invalidRequest(`No such payment_intent: '${id}'`);
+    return intent;
+  };
+
+  return {
+    isLocal: true,
+
+    paymentIntents: {
+      async create(params) {
+        if (!Number.isInteger(params.amount) || params.amount < 50) {
+          throw invalidRequest('Amount must be at least 50 cents', 'amount_too_small');
+        }
+        const id = localId('pi');
+        const intent = {
+          id,
+          object: 'payment_intent',
+          amount: params.amount,
+          amount_received: params.amount,
+          currency: params.currency,
+          status: 'succeeded',
+          client_secret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+          receipt_email: params.receipt_email || null,
+          metadata: params.metadata || {},
+          latest_charge: localId('ch'),
+          created: Math.floor(Date.now() / 1000),
+        };
+        paymentIntents.set(id, intent);
+        return { ...intent };
+      },
+
+      async retrieve(id) {
+        return { ...getIntent(id) };
+      },
+
+      async cancel(id) {
+        const intent = getIntent(id);
+        intent.status = 'canceled';
+        return { ...intent };
+      },
+    },
+
+    refunds: {
+      async create(params) {
+        const intent = getIntent(params.payment_intent);
+        const alreadyRefunded = [...refunds.values()]
+          .filter(refund => refund.payment_intent === intent.id)
+          .reduce((sum, refund) => sum + refund.amount, 0);
+        const amount = params.amount ?? intent.amount - alreadyRefunded;
+
+        if (amount <= 0 || alreadyRefunded + amount > intent.amount) {
+          throw invalidRequest(`Refund amount exceeds the remaining ${intent.amount - alreadyRefunded} on ${intent.id}`, 'amount_too_large');
+        }
+
+        const refund = {
+          id: localId('re'),
+          object: 'refund',
+          amount,
+          currency: intent.currency,
+          payment_intent: intent.id,
+          charge: intent.latest_charge,
+          reason: params.reason || null,
+          metadata: params.metadata || {},
+          status: 'succeeded',
+          created: Math.floor(Date.now() / 1000),
+        };
+        refunds.set(refund.id, refund);
+        return { ...refund };
+      },
+
+      async list(params = {}) {
+        const data = [...refunds.values()]
+          .filter(refund => !params.payment_intent || refund.payment_intent === params.payment_intent)
+          .map(refund => ({ ...refund }));
+        return { object: 'list', data, has_more: false };
+      },
+    },
+
+    // Signature verification is pure crypto, so the real implementation works offline
+    webhooks: Stripe.webhooks,
+  };
+};
+
+export default createLocalStripe;
@@ -0,0 +1,73 @@
+// Staff roles and what each one may do.
+// Permissions are "<resource>:<action>" strings checked by requirePermission() in middleware/auth.js.
+export const ROLES = ['owner', 'catalog_editor', 'fulfillment', 'support'];
+
+export const ROLE_PERMISSIONS = {
+  // Full access, including staff management (users:manage) and API keys (apiKeys:manage)
+  owner: ['*'],
+  catalog_editor: [
+    'products:write',
+    'products:delete',
+    'categories:write',
+    'categories:delete',
+    'uploads:write'
+  ],
+  fulfillment: [
+    'orders:read',
+    'orders:update',
+    'customers:read'
+  ],
+  support: [
+    'orders:read',
+    'orders:refund',
+    'customers:read'
+  ]
+};
+
+// Scopes an API key can carry: any staff permission. Staff management and API key
+// management itself ('users:manage', 'apiKeys:manage') stay with owners signed in as themselves.
+export const API_KEY_SCOPES = [...new Set(Object.values(ROLE_PERMISSIONS).flat())]
+  .filter(permission => permission !== '*');
+
+/**
+ * roleOf
+ * Staff role of a user. Accounts created before roles existed fall back to owner
+ * when they still carry the legacy isAdmin flag (see scripts/migrateRoles.js).
+ */
+export const roleOf = (user) => {
+  if (!user || user.accountType !== 'staff') return null;
+  return user.role || (user.isAdmin ? 'owner' : null);
+};
+
+export const permissionsFor = (user) => ROLE_PERMISSIONS[roleOf(user)] || [];
+
+export const hasPermission = (user, permission) => {
+  const granted = permissionsFor(user);
+  return granted.includes('*') || granted.includes(permission);
+};
+
+/**
+ * twoFactorRequiredRoles
+ * Roles that must enrol in two-factor authentication before using staff routes,
+ * e.g. TWO_FACTOR_REQUIRED_ROLES=owner,support (unset: 2FA is optional for everyone)
+ */
+export const twoFactorRequiredRoles = () => (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(role => ROLES.includes(role));
+
+export const requiresTwoFactor = (user) => {
+  const role = roleOf(user);
+  return Boolean(role) && twoFactorRequiredRoles().includes(role);
+};
+
+export default {
+  ROLES,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  roleOf,
+  permissionsFor,
+  hasPermission,
+  twoFactorRequiredRoles,
+  requiresTwoFactor
+};
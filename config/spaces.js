@@ -0,0 +1,35 @@
+import { S3Client } from '@aws-sdk/client-s3';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// DigitalOcean Spaces, e.g. SPACES_ENDPOINT=nyc3.digitaloceanspaces.com.
+// Without SPACES_ENDPOINT the same settings talk to Amazon S3.
+const spacesEndpoint = process.env.SPACES_ENDPOINT;
+
+const s3Client = new S3Client({
+  region: process.env.SPACES_REGION || 'us-east-1',
+  endpoint: spacesEndpoint ? `https://${spacesEndpoint}` : undefined,
+  credentials: {
+    accessKeyId: process.env.SPACES_KEY,
+    secretAccessKey: process.env.SPACES_SECRET,
+  },
+});
+
+export const spacesBucket = () => process.env.SPACES_BUCKET;
+
+export const isSpacesConfigured = () => Boolean(process.env.SPACES_BUCKET);
+
+// Public URL of an object: under SPACES_BASE_URL (e.g. a CDN endpoint) when set,
+// otherwise the bucket's own endpoint
+export const spacesPublicUrl = (key) => {
+  if (process.env.SPACES_BASE_URL) {
+    return `${process.env.SPACES_BASE_URL.replace(/\/+$/, '')}/${key}`;
+  }
+  return spacesEndpoint
+    ? `https://${spacesBucket()}.${spacesEndpoint}/${key}`
+    : `https://${spacesBucket()}.s3.${process.env.SPACES_REGION || 'us-east-1'}.amazonaws.com/${key}`;
+};
+
+export default s3Client;
@@ -0,0 +1,27 @@
+import Stripe from 'stripe';
+import dotenv from 'dotenv';
+import createLocalStripe from './localStripe.js';
+
+// Load environment variables
+dotenv.config();
+
+// STRIPE_MODE=local swaps in the offline stand-in (see config/localStripe.js)
+const useLocalStripe = process.env.STRIPE_MODE === 'local';
+
+// Initialize Stripe
+const stripe = useLocalStripe
+  ? createLocalStripe()
+  : new Stripe(process.env.STRIPE_SECRET_KEY || '', {
+    apiVersion: '2024-11-20.acacia',
+  });
+
+// Check if Stripe is configured
+if (useLocalStripe) {
+  console.warn('⚠️  STRIPE_MODE=local: using the offline Stripe stand-in. Payments are simulated.');
+} else if (!process.env.STRIPE_SECRET_KEY) {
+  console.warn('⚠️  STRIPE_SECRET_KEY not set. Payment functionality will not work.');
+}
+
+export const isStripeConfigured = () => useLocalStripe || Boolean(process.env.STRIPE_SECRET_KEY);
+
+export default stripe;
@@ -1,5 +1,8 @@
 import Product from '../models/Product.js';
 import { validationResult } from 'express-validator';
+import { assertCategoryExists, CategoryError } from '../services/categoryService.js';
+import { mergeImageVariants } from '../services/imageService.js';
+import { assetUrls, updateAssetReferences } from '../services/assetService.js';
 
 /**
  * createProduct
@@ -33,6 +36,7 @@ export const createProduct = async (req, res) => {
 
     const {
       name,
+      slug,
       category,
       price,
       originalPrice,
@@ -42,6 +46,7 @@ export const createProduct = async (req, res) => {
       features,
       featureType,
       stock,
+      trackInventory,
       colors,
     } = req.body;
 
@@ -66,6 +71,8 @@ export const createProduct = async (req, res) => {
 
     const productData = {
       name,
+      // Generated from the name when not given (see models/Product.js)
+      ...(slug ? { slug } : {}),
       category,
       price: price ? parseFloat(price) : 0,
       originalPrice: originalPrice ? parseFloat(originalPrice) : null,
@@ -74,18 +81,29 @@ export const createProduct = async (req, res) => {
       isNew: isNew === 'true' || isNew === true,
       featureType: featureType || 'size',
       stock: stock ? parseInt(stock, 10) : 0,
+      trackInventory: trackInventory === 'true' || trackInventory === true,
       features: Array.isArray(parsedFeatures) ? parsedFeatures : [],
       colors: Array.isArray(parsedColors) ? parsedColors : [],
-      // Store Base64 data URIs (or incoming URLs) directly in DB
+      // Image URLs from /api/uploads, with the variants it returned for them
       image: images[0] || '',
       images,
+      imageVariants: mergeImageVariants([], req.body.imageVariants, images),
     };
 
+    await assertCategoryExists(category);
+
     const product = new Product(productData);
     const createdProduct = await product.save();
+    await updateAssetReferences([], assetUrls(createdProduct));
 
     res.status(201).json(createdProduct);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error instanceof CategoryError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
     console.error('Error in createProduct:', error);
     res.status(500).json({ message: 'Server error creating product', error: error.message });
   }
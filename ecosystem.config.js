@@ -19,6 +19,19 @@ module.exports = {
     autorestart: true,
     watch: false,
     max_memory_restart: '1G'
+  }, {
+    // Nightly cleanup of stored files nothing references (npm run gc-assets)
+    name: 'crafting-sign-gc-assets',
+    script: './scripts/gcAssets.js',
+    args: '--delete',
+    cron_restart: '30 3 * * *',
+    autorestart: false,
+    env_production: {
+      NODE_ENV: 'production'
+    },
+    error_file: './logs/gc-err.log',
+    out_file: './logs/gc-out.log',
+    log_date_format: 'YYYY-MM-DD HH:mm:ss Z'
   }]
 };
 
@@ -1,6 +1,9 @@
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import { verifyAccessToken } from '../services/tokenService.js';
+import { isApiKey, verifyApiKey } from '../services/apiKeyService.js';
+import { roleOf, hasPermission, requiresTwoFactor } from '../config/permissions.js';
 
+// Accepts a JWT access token or an API key (as "Authorization: Bearer csk_..." or "X-API-Key: csk_...").
+// API key requests act as the key's creator with req.apiKey set; requirePermission limits them to the key's scopes.
 export const protect = async (req, res, next) => {
   try {
     let token;
@@ -9,20 +12,30 @@ export const protect = async (req, res, next) => {
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
     }
+    if (!token && req.headers['x-api-key']) {
+      token = req.headers['x-api-key'];
+    }
 
     if (!token) {
       return res.status(401).json({ message: 'Not authorized, no token provided' });
     }
 
+    if (isApiKey(token)) {
+      const result = await verifyApiKey(token, req.ip);
+      if (!result) {
+        return res.status(401).json({ message: 'Invalid, expired or revoked API key' });
+      }
+      req.user = result.user;
+      req.apiKey = result.apiKey;
+      return next();
+    }
+
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Verify token, then make sure the user is still active and the token was not revoked
+      req.user = await verifyAccessToken(token);
       
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
-      
-      if (!req.user || !req.user.active) {
-        return res.status(401).json({ message: 'User not found or inactive' });
+      if (!req.user) {
+        return res.status(401).json({ message: 'User not found, inactive or token revoked' });
       }
 
       next();
@@ -34,10 +47,64 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// Routes about the signed-in person's own account (profile, password, 2FA): no API keys
+export const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ message: 'API keys cannot be used for account routes' });
+  }
+  next();
+};
+
+export const protectAccount = [protect, rejectApiKey];
+
+// Attach req.user when a valid token is sent, but let guests through (e.g. guest checkout)
+export const optionalAuth = async (req, res, next) => {
+  try {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      const token = req.headers.authorization.split(' ')[1];
+      const user = await verifyAccessToken(token);
+      if (user) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // Invalid or expired token: continue as a guest
+  }
+  next();
+};
+
+// Staff whose role requires 2FA (TWO_FACTOR_REQUIRED_ROLES) can only enrol until they turn it on.
+// API keys are exempt: they can only be created by someone who got past this check.
+const twoFactorSetupMissing = (req) => !req.apiKey && requiresTwoFactor(req.user) && !req.user.twoFactorEnabled;
+
+const rejectTwoFactorSetup = (res) => res.status(403).json({
+  message: 'Two-factor authentication must be enabled for your role',
+  twoFactorSetupRequired: true
+});
+
+// Any staff member with a role (API keys need requirePermission, which checks their scopes)
 export const admin = (req, res, next) => {
-  if (!req.user || !req.user.isAdmin) {
+  if (!req.user || !roleOf(req.user) || req.apiKey) {
     return res.status(403).json({ message: 'Access denied. Admin only.' });
   }
+  if (twoFactorSetupMissing(req)) {
+    return rejectTwoFactorSetup(res);
+  }
+  next();
+};
+
+// Staff member whose role grants every listed permission, e.g. requirePermission('orders:update')
+// (and, for API keys, the key's scopes)
+export const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission =>
+    !hasPermission(req.user, permission) || (req.apiKey && !req.apiKey.scopes.includes(permission))
+  );
+  if (!req.user || missing.length > 0) {
+    return res.status(403).json({ message: 'Access denied. Missing permission.', missing });
+  }
+  if (twoFactorSetupMissing(req)) {
+    return rejectTwoFactorSetup(res);
+  }
   next();
 };
 
@@ -6,10 +6,24 @@ dotenv.config();
 // Use memory storage so controllers can access file buffers
 const storage = multer.memoryStorage();
 
+// Raster images only. SVG can carry scripts, so it is refused; the content itself is checked
+// again when the variants are generated (services/imageService.js), since the type is client-sent.
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff', 'image/heic', 'image/heif'];
+
+const fileFilter = (req, file, callback) => {
+  if (ACCEPTED_TYPES.includes(file.mimetype)) return callback(null, true);
+
+  const error = new Error(`Unsupported file type "${file.mimetype}". Upload a JPEG, PNG, WebP, GIF, AVIF, TIFF or HEIC image.`);
+  error.status = 415;
+  callback(error);
+};
+
 const upload = multer({
   storage,
+  fileFilter,
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024,
+    files: 10,
   },
 });
 
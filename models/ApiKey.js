@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Key for server-to-server integrations (bookkeeping, print shop, ...).
+// A key acts for the staff member who created it, limited to its scopes.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  // Public start of the key (e.g. "csk_1a2b3c4d"), shown in lists and logs to tell keys apart
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the full key; the raw value is only shown once, when the key is created
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [String],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null means the key never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: ''
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ createdBy: 1 });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
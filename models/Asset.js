@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// A delete or upload claim older than this belongs to a process that died mid-way and may be taken over
+const CLAIM_TIMEOUT_MINUTES = 15;
+
+// An object stored through services/storageService.js, with the number of products and
+// categories that reference its URL. Objects whose count drops to zero are deleted
+// (see services/assetService.js); `npm run gc-assets` catches anything left over.
+const assetSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true,
+    index: true
+  },
+  driver: {
+    type: String,
+    default: ''
+  },
+  contentType: {
+    type: String,
+    default: ''
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  refCount: {
+    type: Number,
+    default: 0
+  },
+  // Whether refCount has been counted. Assets registered before reference counting existed
+  // start at 0 although products may use them; they are never released until counted
+  // (see resyncReferenceCounts in services/assetService.js).
+  refCounted: {
+    type: Boolean,
+    default: false
+  },
+  lastReferencedAt: {
+    type: Date,
+    default: null
+  },
+  // Set while the object is being deleted, so only one caller deletes it
+  deletingAt: {
+    type: Date,
+    default: null
+  },
+  // Set while the object is being uploaded, so it is not deleted under the upload
+  uploadingAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Filter for assets no one is currently deleting or uploading (stale claims do not count)
+assetSchema.statics.unclaimed = function() {
+  const stale = new Date(Date.now() - CLAIM_TIMEOUT_MINUTES * 60 * 1000);
+  return {
+    $and: [
+      { $or: [{ deletingAt: null }, { deletingAt: { $lt: stale } }] },
+      { $or: [{ uploadingAt: null }, { uploadingAt: { $lt: stale } }] }
+    ]
+  };
+};
+
+const Asset = mongoose.model('Asset', assetSchema);
+
+export default Asset;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import imageVariantsSchema from './imageVariantsSchema.js';
 
 const categorySchema = new mongoose.Schema({
   id: {
@@ -11,6 +12,11 @@ const categorySchema = new mongoose.Schema({
     required: [true, 'Category name is required'],
     trim: true
   },
+  // `id` of the parent category for nested categories ("Signs › Welcome Sign"); null at the top level
+  parent: {
+    type: String,
+    default: null
+  },
   description: {
     type: String,
     default: ''
@@ -19,6 +25,10 @@ const categorySchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  imageVariants: {
+    type: imageVariantsSchema,
+    default: null
+  },
   active: {
     type: Boolean,
     default: true
@@ -31,6 +41,20 @@ const categorySchema = new mongoose.Schema({
   timestamps: true
 });
 
+categorySchema.index({ parent: 1 });
+
+// Categories added under a parent (new, or moved from another one) go after their siblings
+// unless an order is given
+categorySchema.pre('validate', async function() {
+  if (!(this.isNew || this.isModified('parent'))) return;
+  if (this.isModified('order') && !this.$isDefault('order')) return;
+
+  const last = await this.constructor
+    .findOne({ parent: this.parent || null, _id: { $ne: this._id } }, { order: 1 })
+    .sort({ order: -1 });
+  this.order = last ? last.order + 1 : 0;
+});
+
 const Category = mongoose.model('Category', categorySchema);
 
 export default Category;
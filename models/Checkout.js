@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// A checkout is the server-side copy of a cart for which a PaymentIntent was created.
+// It lets the Stripe webhook finalize the order even if the browser never calls /confirm.
+const checkoutItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: String,
+  price: Number,
+  quantity: Number,
+  selectedSize: String,
+  selectedColor: String,
+  customization: String
+}, { _id: false });
+
+const checkoutSchema = new mongoose.Schema({
+  paymentIntentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    name: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    phone: String,
+    address: String,
+    city: String,
+    country: String
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  items: [checkoutItemSchema],
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  shippingMethod: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Succeeded', 'Failed'],
+    default: 'Pending'
+  },
+  // Stock held for this cart while the PaymentIntent is pending
+  stockStatus: {
+    type: String,
+    enum: ['None', 'Reserved', 'Committed', 'Released'],
+    default: 'None'
+  },
+  reservedUntil: {
+    type: Date,
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+checkoutSchema.index({ status: 1, createdAt: -1 });
+checkoutSchema.index({ stockStatus: 1, reservedUntil: 1 });
+
+const Checkout = mongoose.model('Checkout', checkoutSchema);
+
+export default Checkout;
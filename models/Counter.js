@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Atomic sequences used for human-readable IDs (orders, customers).
+// `_id` is the sequence name, `seq` the last value handed out.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
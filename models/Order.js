@@ -11,9 +11,86 @@ const orderItemSchema = new mongoose.Schema({
   quantity: Number,
   selectedSize: String,
   selectedColor: String,
-  customization: String
+  customization: String,
+  refundedQuantity: {
+    type: Number,
+    default: 0
+  }
 });
 
+export const ORDER_STATUSES = ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled'];
+export const PAYMENT_STATUSES = ['Pending', 'Complete', 'Failed', 'PartiallyRefunded', 'Refunded'];
+
+// Allowed status moves; orders can only be cancelled before they ship
+export const ORDER_STATUS_TRANSITIONS = {
+  Pending: ['Processing', 'Cancelled'],
+  Processing: ['Shipped', 'Cancelled'],
+  Shipped: ['Delivered'],
+  Delivered: [],
+  Cancelled: []
+};
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES
+  },
+  paymentStatus: {
+    type: String,
+    enum: PAYMENT_STATUSES
+  },
+  // Staff member who made the change (null for customers/webhooks)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  // Stripe refund ID (unique per order so the API and the webhook record a refund once)
+  refundId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  items: [{
+    itemId: mongoose.Schema.Types.ObjectId,
+    quantity: Number,
+    amount: Number,
+    _id: false
+  }],
+  reason: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    default: 'succeeded'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   orderId: {
     type: String,
@@ -40,6 +117,12 @@ const orderSchema = new mongoose.Schema({
     city: String,
     country: String
   },
+  // Shopper account that placed (or later claimed) the order; null for guest orders
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   items: [orderItemSchema],
   total: {
     type: Number,
@@ -48,17 +131,65 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled'],
+    enum: ORDER_STATUSES,
     default: 'Pending'
   },
   paymentStatus: {
     type: String,
-    enum: ['Pending', 'Complete', 'Failed', 'Refunded'],
+    enum: PAYMENT_STATUSES,
     default: 'Pending'
   },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
   notes: {
     type: String,
     default: ''
+  },
+  // Shipment details shown on the public tracking page
+  tracking: {
+    carrier: {
+      type: String,
+      default: ''
+    },
+    trackingNumber: {
+      type: String,
+      default: ''
+    },
+    trackingUrl: {
+      type: String,
+      default: ''
+    }
+  },
+  // Stripe PaymentIntent that paid for this order (unique so webhook and /confirm finalize once)
+  paymentIntentId: {
+    type: String,
+    default: undefined
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refunds: {
+    type: [refundSchema],
+    default: []
+  },
+  // True while this order holds product stock (cleared when the stock is restored on cancellation)
+  stockCommitted: {
+    type: Boolean,
+    default: false
+  },
+  // Follow-up writes of a paid order that have not run yet (see finalizePaidOrder)
+  pendingSteps: {
+    type: [String],
+    default: []
+  },
+  // Lease held while pendingSteps are being run
+  stepsClaimedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -67,7 +198,27 @@ const orderSchema = new mongoose.Schema({
 // Index for faster queries
 orderSchema.index({ 'customer.email': 1 });
 orderSchema.index({ status: 1 });
+orderSchema.index({ user: 1, createdAt: -1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ paymentIntentId: 1 }, { unique: true, sparse: true });
+
+// Record the initial status of every new order
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, paymentStatus: this.paymentStatus, note: 'Order created' });
+  }
+  next();
+});
+
+// Check whether the order may move to `nextStatus` (staying on the same status is always allowed)
+orderSchema.methods.canTransitionTo = function(nextStatus) {
+  return nextStatus === this.status || (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(nextStatus);
+};
+
+// Append the current status/paymentStatus to the history
+orderSchema.methods.recordStatusChange = function({ actor = null, note = '' } = {}) {
+  this.statusHistory.push({ status: this.status, paymentStatus: this.paymentStatus, actor, note });
+};
 
 const Order = mongoose.model('Order', orderSchema);
 
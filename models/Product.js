@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { slugify } from '../utils/slug.js';
+import imageVariantsSchema from './imageVariantsSchema.js';
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -6,10 +8,28 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Product name is required'],
     trim: true
   },
+  // URL name, generated from the name (or set by staff); renaming a product keeps the
+  // old slug in previousSlugs so existing links can redirect
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  previousSlugs: {
+    type: [String],
+    default: [],
+    index: true
+  },
   category: {
     type: String,
     required: [true, 'Category is required']
   },
+  // Order within the category (PUT /api/categories/:id/products/reorder); new products go last
+  position: {
+    type: Number,
+    default: 0
+  },
   price: {
     type: Number,
     required: [true, 'Price is required'],
@@ -19,7 +39,8 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
-  // `image` and `images` will store image data URIs (e.g. "data:image/jpeg;base64,...")
+  // `image` and `images` hold image URLs in object storage. Older products may still embed
+  // data URIs ("data:image/jpeg;base64,..."); `npm run migrate-images` moves them out.
   image: {
     type: String,
     default: ''
@@ -28,6 +49,11 @@ const productSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+  // Resized WebP/original-format copies, one entry per image in `images` that has them
+  imageVariants: {
+    type: [imageVariantsSchema],
+    default: []
+  },
   description: {
     type: String,
     default: ''
@@ -66,9 +92,20 @@ const productSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Only tracked products have their stock (and size quantities) checked and decremented by
+  // checkouts; others can always be ordered. Products created before inventory existed are untracked.
+  trackInventory: {
+    type: Boolean,
+    default: false
+  },
   active: {
     type: Boolean,
     default: true
+  },
+  // Units sold, used for the "popularity" sort (see recordSales in services/inventoryService.js)
+  salesCount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -76,7 +113,84 @@ const productSchema = new mongoose.Schema({
 
 // Index for faster queries
 productSchema.index({ category: 1, active: 1 });
-productSchema.index({ name: 'text', description: 'text' });
+productSchema.index({ category: 1, position: 1 });
+// Relevance-ranked search (services/searchService.js). Product.category holds the category ID,
+// which the search expands matching category names to. A changed definition replaces the stored
+// index on the next server start (see ensureTextIndex in services/searchService.js).
+productSchema.index(
+  { name: 'text', category: 'text', description: 'text' },
+  { name: 'product_text_search', weights: { name: 10, category: 5, description: 1 } }
+);
+productSchema.index({ active: 1, salesCount: -1 });
+productSchema.index({ active: 1, price: 1 });
+
+// First free slug for `base`: "welcome-sign", then "welcome-sign-2", ... Slugs other products
+// used before are skipped too so their redirects keep working.
+productSchema.statics.availableSlug = async function(base, excludeId = null) {
+  const root = base || 'product';
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? root : `${root}-${n}`;
+    const taken = await this.exists({
+      _id: { $ne: excludeId },
+      $or: [{ slug: candidate }, { previousSlugs: candidate }]
+    });
+    if (!taken) return candidate;
+  }
+};
+
+// Products created before slugs existed (or seeded with upserts) get one from their name
+productSchema.statics.assignMissingSlugs = async function() {
+  const products = await this.find({ $or: [{ slug: null }, { slug: '' }] }, { name: 1 });
+  for (const product of products) {
+    const slug = await this.availableSlug(slugify(product.name), product._id);
+    await this.updateOne({ _id: product._id }, { $set: { slug } });
+  }
+  return products.length;
+};
+
+// Remember the slug the document was loaded with, to keep it as a redirect when it changes
+productSchema.post('init', function() {
+  this.$locals.loadedSlug = this.slug;
+});
+
+productSchema.pre('validate', async function() {
+  if (this.isModified('slug') && this.slug) {
+    // Set by staff: normalize, and refuse one that another product uses right now
+    this.slug = slugify(this.slug);
+    if (!this.slug) {
+      this.invalidate('slug', 'Slug must contain letters or numbers');
+    } else if (await this.constructor.exists({ _id: { $ne: this._id }, slug: this.slug })) {
+      this.invalidate('slug', 'Slug is already used by another product');
+    }
+  } else if (!this.slug || this.isModified('name')) {
+    this.slug = await this.constructor.availableSlug(slugify(this.name), this._id);
+  }
+
+  const loadedSlug = this.$locals.loadedSlug;
+  if (loadedSlug && loadedSlug !== this.slug) {
+    this.previousSlugs.addToSet(loadedSlug);
+  }
+  this.previousSlugs.pull(this.slug);
+});
+
+// Products added to a category (new, or moved from another one) go to the end of it
+productSchema.pre('validate', async function() {
+  if (!this.isModified('category') || this.isModified('position')) return;
+
+  const last = await this.constructor
+    .findOne({ category: this.category, _id: { $ne: this._id } }, { position: 1 })
+    .sort({ position: -1 });
+  this.position = last ? last.position + 1 : 0;
+});
+
+// A slug taken over from another product's history stops redirecting there
+productSchema.post('save', async function() {
+  this.$locals.loadedSlug = this.slug;
+  await this.constructor.updateMany(
+    { _id: { $ne: this._id }, previousSlugs: this.slug },
+    { $pull: { previousSlugs: this.slug } }
+  );
+});
 
 const Product = mongoose.model('Product', productSchema);
 
@@ -1,5 +1,43 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { ROLES } from '../config/permissions.js';
+
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+
+const addressSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  phone: {
+    type: String,
+    default: ''
+  },
+  address: {
+    type: String,
+    required: [true, 'Address is required']
+  },
+  city: {
+    type: String,
+    default: ''
+  },
+  country: {
+    type: String,
+    default: ''
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -20,10 +58,104 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Name is required'],
     trim: true
   },
+  // 'staff' accounts run the shop; 'shopper' accounts are customers registered on the storefront
+  accountType: {
+    type: String,
+    enum: ['staff', 'shopper'],
+    default: 'staff'
+  },
+  // Staff role (see config/permissions.js); null for shoppers
+  role: {
+    type: String,
+    enum: [...ROLES, null],
+    default: null
+  },
+  // Legacy flag kept in sync for older clients: true for owners
   isAdmin: {
     type: Boolean,
     default: false
   },
+  phone: {
+    type: String,
+    default: ''
+  },
+  addresses: {
+    type: [addressSchema],
+    default: []
+  },
+  // Guest orders placed with this email are only linked to the account once it is verified
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Single-use tokens are stored as SHA-256 hashes; the raw token only ever exists in the email
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // Login brute-force protection (see services/loginProtectionService.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  // TOTP two-factor authentication (see services/twoFactorService.js).
+  // Secrets are stored encrypted, recovery codes as SHA-256 hashes.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret waiting for its first code during enrollment
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null,
+    select: false
+  },
+  twoFactorRecoveryCodeHashes: {
+    type: [String],
+    default: undefined,
+    select: false
+  },
+  // Bumped to revoke every access and refresh token issued so far ("log out all sessions")
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   active: {
     type: Boolean,
     default: true
@@ -32,6 +164,14 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Keep the legacy isAdmin flag in step with the role
+userSchema.pre('save', function(next) {
+  if (this.isModified('role')) {
+    this.isAdmin = this.role === 'owner';
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -44,6 +184,27 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Issue a password reset token (replaces any earlier one) and return the raw value to email.
+// Staff invitations pass a longer lifetime since the link sets the first password.
+userSchema.methods.createPasswordResetToken = function(expireMinutes = PASSWORD_RESET_EXPIRE_MINUTES) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = this.constructor.hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expireMinutes * 60 * 1000);
+  return token;
+};
+
+// Issue an email verification token (replaces any earlier one) and return the raw value to email
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationTokenHash = this.constructor.hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// One resized copy of an image: `url` in the original format, `webp` the WebP version
+const variantSchema = new mongoose.Schema({
+  width: Number,
+  height: Number,
+  format: String,
+  url: String,
+  webp: String
+}, { _id: false });
+
+// Resized variants of the image at `source` (see services/imageService.js)
+const imageVariantsSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true
+  },
+  thumbnail: variantSchema,
+  card: variantSchema,
+  full: variantSchema
+}, { _id: false });
+
+export default imageVariantsSchema;
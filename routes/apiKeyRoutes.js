@@ -0,0 +1,93 @@
+import express from 'express';
+import ApiKey from '../models/ApiKey.js';
+import { body, param, validationResult } from 'express-validator';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { API_KEY_SCOPES } from '../config/permissions.js';
+import { ApiKeyError, toApiKeyView, createApiKey, revokeApiKey } from '../services/apiKeyService.js';
+
+const router = express.Router();
+
+// API keys are managed by owners signed in as themselves (keys never carry apiKeys:manage)
+router.use(protect, requirePermission('apiKeys:manage'));
+
+// @route   GET /api/api-keys
+// @desc    List API keys (revoked ones too, with ?includeRevoked=true)
+// @access  Private/Staff (apiKeys:manage)
+router.get('/', async (req, res) => {
+  try {
+    const query = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+    const apiKeys = await ApiKey.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({ scopes: API_KEY_SCOPES, apiKeys: apiKeys.map(toApiKeyView) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching API keys', error: error.message });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key. The raw key is only returned in this response.
+// @access  Private/Staff (apiKeys:manage)
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+  body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Expiry must be a date'),
+  body('expiresInDays').optional().isInt({ min: 1 }).withMessage('Expiry in days must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, scopes, expiresAt, expiresInDays } = req.body;
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+    } else if (expiresInDays) {
+      expiry = new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000);
+    }
+
+    const { apiKey, key } = await createApiKey({ name, scopes, expiresAt: expiry }, req.user);
+    console.log(`🔑 API key ${apiKey.prefix} (${apiKey.name}) created by ${req.user.email}`);
+
+    res.status(201).json({ ...toApiKeyView(apiKey), key });
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
+    res.status(500).json({ message: 'Error creating API key', error: error.message });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private/Staff (apiKeys:manage)
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid API key ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+      return res.json({ message: 'API key already revoked' });
+    }
+
+    await revokeApiKey(apiKey, req.user);
+    console.log(`🔑 API key ${apiKey.prefix} revoked by ${req.user.email}`);
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error revoking API key', error: error.message });
+  }
+});
+
+export default router;
@@ -1,21 +1,60 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
-import { body, validationResult } from 'express-validator';
-import { protect } from '../middleware/auth.js';
+import Order from '../models/Order.js';
+import { body, param, validationResult } from 'express-validator';
+import { protectAccount } from '../middleware/auth.js';
+import { roleOf, permissionsFor, requiresTwoFactor } from '../config/permissions.js';
+import {
+  loginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+  allowPasswordResetRequest,
+  comparePasswordSafely
+} from '../services/loginProtectionService.js';
+import {
+  claimGuestOrders,
+  toAccountView,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+} from '../services/accountService.js';
+import { toTrackingView } from '../services/trackingService.js';
+import {
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  TokenError
+} from '../services/tokenService.js';
+import {
+  TwoFactorError,
+  verifyTotpCode,
+  useRecoveryCode,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken
+} from '../services/twoFactorService.js';
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'your-secret-key-change-in-production', {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
-};
+const loginResponse = (user, session) => ({
+  _id: user._id,
+  email: user.email,
+  name: user.name,
+  accountType: user.accountType,
+  role: roleOf(user),
+  permissions: permissionsFor(user),
+  isAdmin: user.isAdmin,
+  twoFactorEnabled: Boolean(user.twoFactorEnabled),
+  twoFactorSetupRequired: requiresTwoFactor(user) && !user.twoFactorEnabled,
+  ...session
+});
 
 // @route   POST /api/auth/register
-// @desc    Register new user (admin only for now)
-// @access  Private/Admin (can be made public if needed)
+// @desc    Register a shopper account (staff accounts are created by admins, never here)
+// @access  Public
 router.post('/register', [
   body('email').isEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
@@ -27,7 +66,8 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, name, isAdmin } = req.body;
+    // Any isAdmin/accountType sent by the client is ignored
+    const { email, password, name, phone } = req.body;
 
     // Normalize email to lowercase
     const normalizedEmail = email.toLowerCase().trim();
@@ -43,17 +83,25 @@ router.post('/register', [
       email: normalizedEmail,
       password,
       name,
-      isAdmin: isAdmin || false
+      phone: phone || '',
+      accountType: 'shopper',
+      isAdmin: false
     });
 
-    const token = generateToken(user._id);
+    // A failed verification email should not fail the registration; it can be re-requested
+    try {
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError.message);
+    }
+
+    const session = await issueSession(user, req);
 
     res.status(201).json({
-      _id: user._id,
-      email: user.email,
-      name: user.name,
-      isAdmin: user.isAdmin,
-      token
+      ...toAccountView(user),
+      ...session
     });
   } catch (error) {
     res.status(500).json({ message: 'Error registering user', error: error.message });
@@ -78,52 +126,151 @@ router.post('/login', [
     // Normalize email to lowercase
     const normalizedEmail = email.toLowerCase().trim();
 
-    console.log(`Login attempt for: ${normalizedEmail}`);
+    const user = await User.findOne({ email: normalizedEmail })
+      .select('+failedLoginAttempts +lastFailedLoginAt +lockUntil');
 
-    // Check if user exists
-    const user = await User.findOne({ email: normalizedEmail });
-    if (!user) {
-      console.log(`Login failed: User not found for email: ${normalizedEmail}`);
+    // Throttled IPs and locked accounts (real or not) get the same answer
+    const retryAfter = await loginRetryAfter(req.ip, normalizedEmail, user);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many login attempts. Please try again later.', retryAfter });
+    }
+
+    // Unknown email, inactive account and wrong password all look the same to the caller
+    const isMatch = await comparePasswordSafely(user, password);
+    if (!user || !user.active || !isMatch) {
+      await recordLoginFailure(req.ip, normalizedEmail, user);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    console.log(`User found: ${user.email}, Active: ${user.active}, IsAdmin: ${user.isAdmin}`);
+    // With 2FA on, the password alone only earns a challenge token for POST /login/2fa
+    if (user.twoFactorEnabled) {
+      return res.json({ twoFactorRequired: true, challengeToken: createChallengeToken(user) });
+    }
+
+    await recordLoginSuccess(user);
+    const session = await issueSession(user, req);
+
+    res.json(loginResponse(user, session));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Error logging in', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: exchange the challenge token and an authenticator or recovery code for a session
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').if(body('recoveryCode').not().exists()).notEmpty().withMessage('Code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const challenge = verifyChallengeToken(req.body.challengeToken);
+    const user = challenge && await User.findById(challenge.id)
+      .select('+failedLoginAttempts +lastFailedLoginAt +lockUntil');
 
-    // Check if user is active
-    if (!user.active) {
-      console.log(`Login failed: Account inactive for email: ${normalizedEmail}`);
-      return res.status(401).json({ message: 'Account is inactive. Please contact administrator.' });
+    if (!user || !user.active || !user.twoFactorEnabled || challenge.tv !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Login challenge expired. Please sign in again.' });
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    console.log(`Password match: ${isMatch}`);
-    if (!isMatch) {
-      console.log(`Login failed: Password mismatch for email: ${normalizedEmail}`);
-      return res.status(401).json({ message: 'Invalid credentials' });
+    // Wrong codes count towards the same lockout as wrong passwords
+    const retryAfter = await loginRetryAfter(req.ip, user.email, user);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many login attempts. Please try again later.', retryAfter });
+    }
+
+    const { code, recoveryCode } = req.body;
+    let recoveryCodesRemaining;
+    let verified;
+    if (recoveryCode) {
+      recoveryCodesRemaining = await useRecoveryCode(user._id, recoveryCode);
+      verified = recoveryCodesRemaining !== null;
+    } else {
+      verified = await verifyTotpCode(user._id, code);
     }
 
-    const token = generateToken(user._id);
+    if (!verified) {
+      await recordLoginFailure(req.ip, user.email, user);
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
 
-    console.log(`Login successful for email: ${normalizedEmail}, isAdmin: ${user.isAdmin}`);
+    await recordLoginSuccess(user);
+    const session = await issueSession(user, req);
 
     res.json({
-      _id: user._id,
-      email: user.email,
-      name: user.name,
-      isAdmin: user.isAdmin,
-      token
+      ...loginResponse(user, session),
+      ...(recoveryCodesRemaining !== undefined ? { recoveryCodesRemaining } : {})
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('2FA login error:', error);
     res.status(500).json({ message: 'Error logging in', error: error.message });
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access + refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, refreshToken } = await rotateRefreshToken(req.body.refreshToken, req);
+    res.json({ token, refreshToken });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error refreshing token', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the session belonging to a refresh token
+// @access  Public
+router.post('/logout', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every access and refresh token of the current user
+// @access  Private
+router.post('/logout-all', protectAccount, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user);
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error logging out', error: error.message });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', protect, async (req, res) => {
+router.get('/me', protectAccount, async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-password');
     res.json(user);
@@ -132,6 +279,415 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/me
+// @desc    Update own profile (name, phone, password)
+// @access  Private
+router.put('/me', protectAccount, [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('phone').optional().isString().withMessage('Phone must be text'),
+  body('newPassword').optional().isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('currentPassword').if(body('newPassword').exists()).notEmpty().withMessage('Current password is required to set a new password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const { name, phone, currentPassword, newPassword } = req.body;
+
+    if (newPassword) {
+      const isMatch = await user.comparePassword(currentPassword);
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+      user.password = newPassword;
+    }
+
+    if (name !== undefined) user.name = name;
+    if (phone !== undefined) user.phone = phone;
+
+    await user.save();
+
+    // A password change signs out every other session; hand this client a fresh pair
+    if (newPassword) {
+      const refreshed = await revokeAllSessions(user, 'password-change');
+      return res.json({ ...toAccountView(refreshed), ...(await issueSession(refreshed, req)) });
+    }
+
+    res.json(toAccountView(user));
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating profile', error: error.message });
+  }
+});
+
+// Changing 2FA settings needs the password again, so a stolen access token is not enough
+const confirmPassword = async (req, res) => {
+  const user = await User.findById(req.user._id);
+  if (!(await user.comparePassword(req.body.password))) {
+    res.status(400).json({ message: 'Password is incorrect' });
+    return null;
+  }
+  return user;
+};
+
+const passwordRequired = body('password').notEmpty().withMessage('Password is required');
+const codeRequired = body('code').notEmpty().withMessage('Two-factor code is required');
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment: returns a secret and an otpauth:// URI to show as a QR code
+// @access  Private
+router.post('/2fa/setup', protectAccount, [passwordRequired], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await confirmPassword(req, res);
+    if (!user) return;
+
+    res.json(await startEnrollment(user));
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error starting two-factor setup', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrollment with the first code from the app; returns the recovery codes (shown once)
+// @access  Private
+router.post('/2fa/enable', protectAccount, [codeRequired], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const recoveryCodes = await confirmEnrollment(req.user._id, req.body.code);
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error enabling two-factor authentication', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes with a new set
+// @access  Private
+router.post('/2fa/recovery-codes', protectAccount, [passwordRequired, codeRequired], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await confirmPassword(req, res);
+    if (!user) return;
+
+    if (!(await verifyTotpCode(user._id, req.body.code))) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    res.json({ recoveryCodes: await regenerateRecoveryCodes(user._id) });
+  } catch (error) {
+    res.status(500).json({ message: 'Error generating recovery codes', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn 2FA off (not allowed for roles that require it)
+// @access  Private
+router.post('/2fa/disable', protectAccount, [passwordRequired, codeRequired], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (requiresTwoFactor(req.user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const user = await confirmPassword(req, res);
+    if (!user) return;
+
+    if (!(await verifyTotpCode(user._id, req.body.code))) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    await disableTwoFactor(user._id);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error disabling two-factor authentication', error: error.message });
+  }
+});
+
+const validateAddress = [
+  body('address').trim().notEmpty().withMessage('Address is required'),
+  body('label').optional().isString(),
+  body('name').optional().isString(),
+  body('phone').optional().isString(),
+  body('city').optional().isString(),
+  body('country').optional().isString(),
+  body('isDefault').optional().isBoolean()
+];
+
+const ADDRESS_FIELDS = ['label', 'name', 'phone', 'address', 'city', 'country'];
+
+// Keep exactly one default address when the list is not empty
+const applyDefaultAddress = (user, address) => {
+  if (address.isDefault) {
+    user.addresses.forEach(other => { other.isDefault = other._id.equals(address._id); });
+  }
+  if (user.addresses.length > 0 && !user.addresses.some(a => a.isDefault)) {
+    user.addresses[0].isDefault = true;
+  }
+};
+
+// @route   GET /api/auth/me/addresses
+// @desc    List saved addresses
+// @access  Private
+router.get('/me/addresses', protectAccount, async (req, res) => {
+  res.json(req.user.addresses);
+});
+
+// @route   POST /api/auth/me/addresses
+// @desc    Save a new address
+// @access  Private
+router.post('/me/addresses', protectAccount, validateAddress, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const data = { isDefault: req.body.isDefault === true };
+    ADDRESS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    user.addresses.push(data);
+    applyDefaultAddress(user, user.addresses[user.addresses.length - 1]);
+
+    await user.save();
+    res.status(201).json(user.addresses);
+  } catch (error) {
+    res.status(500).json({ message: 'Error saving address', error: error.message });
+  }
+});
+
+// @route   PUT /api/auth/me/addresses/:addressId
+// @desc    Update a saved address
+// @access  Private
+router.put('/me/addresses/:addressId', protectAccount, [
+  param('addressId').isMongoId().withMessage('Invalid address ID'),
+  ...validateAddress.slice(1),
+  body('address').optional().trim().notEmpty().withMessage('Address cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    ADDRESS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) address[field] = req.body[field];
+    });
+    if (req.body.isDefault !== undefined) address.isDefault = req.body.isDefault === true;
+    applyDefaultAddress(user, address);
+
+    await user.save();
+    res.json(user.addresses);
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating address', error: error.message });
+  }
+});
+
+// @route   DELETE /api/auth/me/addresses/:addressId
+// @desc    Remove a saved address
+// @access  Private
+router.delete('/me/addresses/:addressId', protectAccount, [
+  param('addressId').isMongoId().withMessage('Invalid address ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({ message: 'Address not found' });
+    }
+
+    address.deleteOne();
+    applyDefaultAddress(user, {});
+
+    await user.save();
+    res.json(user.addresses);
+  } catch (error) {
+    res.status(500).json({ message: 'Error deleting address', error: error.message });
+  }
+});
+
+// @route   GET /api/auth/me/orders
+// @desc    Orders placed by the signed-in shopper (guest orders are claimed once the email is verified)
+// @access  Private
+router.get('/me/orders', protectAccount, async (req, res) => {
+  try {
+    await claimGuestOrders(req.user);
+
+    const orders = await Order.find({ user: req.user._id }).sort({ createdAt: -1 });
+    res.json(orders.map(toTrackingView));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching orders', error: error.message });
+  }
+});
+
+// Issues a reset token and mails it; runs after the response has been sent
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email });
+  if (!user || !user.active) return;
+
+  const token = user.createPasswordResetToken();
+  await user.save();
+  await sendPasswordResetEmail(user, token);
+};
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = req.body.email.toLowerCase().trim();
+    const allowed = await allowPasswordResetRequest(req.ip, email);
+
+    // Same answer, sent before any lookup, whether or not the account exists, the request
+    // is throttled or the mail fails
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+
+    if (!allowed) return;
+    requestPasswordReset(email).catch(error => {
+      console.error('Password reset email error:', error.message);
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error requesting password reset', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: User.hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user || !user.active) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    // Receiving the reset email proves the address belongs to the user
+    user.emailVerified = true;
+    await user.save();
+
+    // Whoever knew the old password loses access
+    await revokeAllSessions(user, 'password-reset');
+
+    res.json({ message: 'Password has been reset. You can now log in.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error resetting password', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/verify-email/request
+// @desc    (Re)send the email verification link to the signed-in user
+// @access  Private
+router.post('/verify-email/request', protectAccount, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.emailVerified) {
+      return res.json({ message: 'Email is already verified' });
+    }
+
+    const token = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, token);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error sending verification email', error: error.message });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with a verification token
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({
+      emailVerificationTokenHash: User.hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    const claimedOrders = await claimGuestOrders(user);
+
+    res.json({ message: 'Email verified', claimedOrders });
+  } catch (error) {
+    res.status(500).json({ message: 'Error verifying email', error: error.message });
+  }
+});
+
 // @route   GET /api/auth/check-admin
 // @desc    Check if admin user exists (for debugging)
 // @access  Public
@@ -1,135 +1,201 @@
 import express from 'express';
 import Category from '../models/Category.js';
-import { protect, admin } from '../middleware/auth.js';
+import Product from '../models/Product.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import upload from '../middleware/uploadMiddleware.js';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
-
-const spacesEndpoint = process.env.SPACES_ENDPOINT;
-const s3Client = new S3Client({
-  region: process.env.SPACES_REGION || 'us-east-1',
-  endpoint: spacesEndpoint ? `https://${spacesEndpoint}` : undefined,
-  credentials: {
-    accessKeyId: process.env.SPACES_KEY,
-    secretAccessKey: process.env.SPACES_SECRET,
-  },
-});
+import {
+  CategoryError,
+  assertValidParent,
+  categoryTree,
+  removeCategory,
+  reorderCategories,
+  reorderCategoryProducts
+} from '../services/categoryService.js';
+import { StorageError } from '../services/storageService.js';
+import { storeImageUpload, categoryImageVariants, ImageError } from '../services/imageService.js';
+import { assetUrls, updateAssetReferences } from '../services/assetService.js';
 
 const router = express.Router();
 
 // @route   GET /api/categories
-// @desc    Get all categories
+// @desc    Get all categories in their configured order
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    // Return newest categories first
-    const categories = await Category.find({ active: true }).sort({ createdAt: -1 });
+    const categories = await Category.find({ active: true }).sort({ order: 1, name: 1 });
     res.json(categories);
   } catch (error) {
     res.status(500).json({ message: 'Error fetching categories', error: error.message });
   }
 });
 
+// @route   GET /api/categories/tree
+// @desc    Categories nested under their parents, with product counts
+// @access  Public
+router.get('/tree', async (req, res) => {
+  try {
+    res.json(await categoryTree());
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching category tree', error: error.message });
+  }
+});
+
 // @route   POST /api/categories
-// @desc    Create new category
-// @access  Private/Admin
-router.post('/', protect, admin, async (req, res) => {
+// @desc    Create new category (optionally under a `parent` category ID)
+// @access  Private/Staff (categories:write)
+router.post('/', protect, requirePermission('categories:write'), async (req, res) => {
   try {
-    const { id, name, description, image, order } = req.body;
+    const { id, name, parent, description, image, imageVariants, order } = req.body;
+
+    await assertValidParent(id, parent);
 
     const category = new Category({
       id,
       name,
+      parent: parent || null,
       description: description || '',
       image: image || '',
-      order: order || 0
+      imageVariants: categoryImageVariants(null, imageVariants, image || ''),
+      // Without an order the category goes after its siblings (see models/Category.js)
+      ...(order !== undefined && { order })
     });
 
     await category.save();
+    await updateAssetReferences([], assetUrls(category));
     res.status(201).json(category);
   } catch (error) {
     if (error.code === 11000) {
       return res.status(400).json({ message: 'Category ID already exists' });
     }
+    if (error instanceof CategoryError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
     res.status(500).json({ message: 'Error creating category', error: error.message });
   }
 });
 
+// @route   PUT /api/categories/reorder
+// @desc    Save the category order from drag and drop: { ids: [categoryId, ...] }.
+//          Categories are ordered among their siblings; siblings left out keep their order after the listed ones.
+// @access  Private/Staff (categories:write)
+router.put('/reorder', protect, requirePermission('categories:write'), async (req, res) => {
+  try {
+    await reorderCategories(req.body.ids);
+    res.json(await Category.find({ active: true }).sort({ order: 1, name: 1 }));
+  } catch (error) {
+    if (error instanceof CategoryError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
+    res.status(500).json({ message: 'Error reordering categories', error: error.message });
+  }
+});
+
+// @route   PUT /api/categories/:id/products/reorder
+// @desc    Save the order of products in a category: { ids: [productId, ...] }.
+//          Products left out keep their order after the listed ones.
+// @access  Private/Staff (products:write)
+router.put('/:id/products/reorder', protect, requirePermission('products:write'), async (req, res) => {
+  try {
+    const category = await Category.findOne({ id: req.params.id });
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    await reorderCategoryProducts(category.id, req.body.ids);
+    const products = await Product.find({ category: category.id }, { name: 1, slug: 1, position: 1 })
+      .sort({ position: 1, _id: 1 });
+    res.json(products);
+  } catch (error) {
+    if (error instanceof CategoryError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
+    res.status(500).json({ message: 'Error reordering products', error: error.message });
+  }
+});
+
 // @route   PUT /api/categories/:id
 // @desc    Update category
-// @access  Private/Admin
-router.put('/:id', protect, admin, async (req, res) => {
+// @access  Private/Staff (categories:write)
+router.put('/:id', protect, requirePermission('categories:write'), async (req, res) => {
   try {
     const category = await Category.findOne({ id: req.params.id });
     if (!category) {
       return res.status(404).json({ message: 'Category not found' });
     }
 
-    const { name, description, image, order, active } = req.body;
+    const previousAssets = assetUrls(category);
+    const { name, parent, description, image, imageVariants, order, active } = req.body;
 
+    // parent: null (or '') moves the category to the top level
+    if (parent !== undefined) {
+      await assertValidParent(category.id, parent);
+      category.parent = parent || null;
+    }
     if (name) category.name = name;
     if (description !== undefined) category.description = description;
     if (image !== undefined) category.image = image;
+    category.imageVariants = categoryImageVariants(category.imageVariants, imageVariants, category.image);
     if (order !== undefined) category.order = order;
     if (active !== undefined) category.active = active;
 
     await category.save();
+    await updateAssetReferences(previousAssets, assetUrls(category));
     res.json(category);
   } catch (error) {
+    if (error instanceof CategoryError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
     res.status(500).json({ message: 'Error updating category', error: error.message });
   }
 });
 
 // @route   DELETE /api/categories/:id
-// @desc    Delete category
-// @access  Private/Admin
-router.delete('/:id', protect, admin, async (req, res) => {
+// @desc    Delete category. Products in it must be moved (?reassignTo=<category id>)
+//          or archived together with the category (?archive=true); otherwise 409.
+// @access  Private/Staff (categories:delete)
+router.delete('/:id', protect, requirePermission('categories:delete'), async (req, res) => {
   try {
     const category = await Category.findOne({ id: req.params.id });
     if (!category) {
       return res.status(404).json({ message: 'Category not found' });
     }
 
-    await Category.deleteOne({ id: req.params.id });
-    res.json({ message: 'Category deleted successfully' });
+    const reassignTo = req.query.reassignTo || (req.body && req.body.reassignTo);
+    const archive = String(req.query.archive || (req.body && req.body.archive)) === 'true';
+    const result = await removeCategory(category, { reassignTo, archive });
+    if (result.deleted) {
+      await updateAssetReferences(assetUrls(category), []);
+    }
+
+    res.json({
+      message: result.archived ? 'Category archived successfully' : 'Category deleted successfully',
+      ...result
+    });
   } catch (error) {
+    if (error instanceof CategoryError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
     res.status(500).json({ message: 'Error deleting category', error: error.message });
   }
 });
 
-export default router;
-
 // @route   POST /api/categories/upload
-// @desc    Upload a single category image to DigitalOcean Spaces
-// @access  Private/Admin
-router.post('/upload', protect, admin, upload.single('image'), async (req, res) => {
+// @desc    Upload a single category image to the configured storage; returns { url, variants }
+// @access  Private/Staff (uploads:write)
+router.post('/upload', protect, requirePermission('uploads:write'), upload.single('image'), async (req, res) => {
   try {
     const file = req.file;
     if (!file || !file.buffer) return res.status(400).json({ message: 'No file uploaded' });
 
-    const bucket = process.env.SPACES_BUCKET;
-    if (!bucket) return res.status(500).json({ message: 'SPACES_BUCKET not configured' });
-
-    const key = `categories/${Date.now()}-${file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
-    const putParams = {
-      Bucket: bucket,
-      Key: key,
-      Body: file.buffer,
-      ACL: 'public-read',
-      ContentType: file.mimetype,
-    };
-
-    try {
-      await s3Client.send(new PutObjectCommand(putParams));
-    } catch (err) {
-      console.error('Spaces upload error (category):', err);
-      return res.status(500).json({ message: 'Upload to storage failed', error: err.message });
-    }
-
-    const publicUrl = process.env.SPACES_BASE_URL || `https://${bucket}.${spacesEndpoint}/${key}`;
-    return res.status(201).json({ url: publicUrl });
+    const { url, variants } = await storeImageUpload(file, 'categories');
+    return res.status(201).json({ url, variants });
   } catch (error) {
+    if (error instanceof StorageError || error instanceof ImageError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Category upload error:', error);
     res.status(500).json({ message: 'Upload failed', error: error.message });
   }
 });
 
+export default router;
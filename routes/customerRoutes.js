@@ -1,14 +1,18 @@
 import express from 'express';
 import Customer from '../models/Customer.js';
-import { protect, admin } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { parseListQuery, paginate, PaginationError } from '../utils/pagination.js';
 
 const router = express.Router();
 
+const CUSTOMER_SORT_FIELDS = ['createdAt', 'updatedAt', 'customerName', 'totalOrders', 'totalSpent'];
+
 // @route   GET /api/customers
-// @desc    Get all customers
-// @access  Private/Admin
-router.get('/', protect, admin, async (req, res) => {
+// @desc    Get customers, paginated: ?page|cursor, limit, sort (e.g. -totalSpent), fields
+// @access  Private/Staff (customers:read)
+router.get('/', protect, requirePermission('customers:read'), async (req, res) => {
   try {
+    const listOptions = parseListQuery(Customer, req.query, { sortFields: CUSTOMER_SORT_FIELDS });
     const { status, search } = req.query;
     const query = {};
 
@@ -23,17 +27,19 @@ router.get('/', protect, admin, async (req, res) => {
       ];
     }
 
-    const customers = await Customer.find(query).sort({ createdAt: -1 });
-    res.json(customers);
+    res.json(await paginate(Customer, query, listOptions));
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
     res.status(500).json({ message: 'Error fetching customers', error: error.message });
   }
 });
 
 // @route   GET /api/customers/:id
 // @desc    Get single customer
-// @access  Private/Admin
-router.get('/:id', protect, admin, async (req, res) => {
+// @access  Private/Staff (customers:read)
+router.get('/:id', protect, requirePermission('customers:read'), async (req, res) => {
   try {
     const customer = await Customer.findOne({ customerId: req.params.id });
     
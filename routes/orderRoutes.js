@@ -1,16 +1,25 @@
 import express from 'express';
-import Order from '../models/Order.js';
-import Customer from '../models/Customer.js';
-import { protect, admin } from '../middleware/auth.js';
+import Order, { ORDER_STATUSES, PAYMENT_STATUSES } from '../models/Order.js';
+import { protect, requirePermission, optionalAuth } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
+import { priceOrder, PricingError } from '../services/pricingService.js';
+import { generateOrderId, recordCustomerOrder } from '../services/orderService.js';
+import { saveWithSequenceId } from '../services/counterService.js';
+import { commitOrderStock, restoreOrderStock, InventoryError } from '../services/inventoryService.js';
+import { issueRefund, RefundError } from '../services/refundService.js';
+import { verifyTrackingToken, emailMatches, toTrackingView } from '../services/trackingService.js';
+import { parseListQuery, paginate, PaginationError } from '../utils/pagination.js';
 
 const router = express.Router();
 
+const ORDER_SORT_FIELDS = ['createdAt', 'updatedAt', 'orderId', 'total', 'status'];
+
 // @route   GET /api/orders
-// @desc    Get all orders
-// @access  Private/Admin
-router.get('/', protect, admin, async (req, res) => {
+// @desc    Get orders, paginated: ?page|cursor, limit, sort (e.g. -total), fields
+// @access  Private/Staff (orders:read)
+router.get('/', protect, requirePermission('orders:read'), async (req, res) => {
   try {
+    const listOptions = parseListQuery(Order, req.query, { sortFields: ORDER_SORT_FIELDS });
     const { status } = req.query;
     const query = {};
 
@@ -18,20 +27,46 @@ router.get('/', protect, admin, async (req, res) => {
       query.status = status;
     }
 
-    const orders = await Order.find(query)
-      .populate('items.productId', 'name image')
-      .sort({ createdAt: -1 });
-
-    res.json(orders);
+    res.json(await paginate(Order, query, listOptions, {
+      populate: [['items.productId', 'name image']]
+    }));
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
     res.status(500).json({ message: 'Error fetching orders', error: error.message });
   }
 });
 
+// @route   GET /api/orders/track
+// @desc    Track an order with `orderId` + `email`, or with the `token` returned by /api/payments/confirm
+// @access  Public
+router.get('/track', async (req, res) => {
+  try {
+    const { token, email } = req.query;
+    const orderId = token ? verifyTrackingToken(token) : req.query.orderId;
+
+    if (!orderId || (!token && !email)) {
+      return res.status(400).json({ message: 'Provide an order ID and email, or a tracking token' });
+    }
+
+    const order = await Order.findOne({ orderId: String(orderId) });
+
+    // Same response for unknown orders and wrong emails so order IDs cannot be probed
+    if (!order || (!token && !emailMatches(order, email))) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json(toTrackingView(order));
+  } catch (error) {
+    res.status(500).json({ message: 'Error tracking order', error: error.message });
+  }
+});
+
 // @route   GET /api/orders/:id
 // @desc    Get single order
-// @access  Private/Admin
-router.get('/:id', protect, admin, async (req, res) => {
+// @access  Private/Staff (orders:read)
+router.get('/:id', protect, requirePermission('orders:read'), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('items.productId', 'name image price');
@@ -46,15 +81,40 @@ router.get('/:id', protect, admin, async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/:id/history
+// @desc    Get the status history of an order
+// @access  Private/Staff (orders:read)
+router.get('/:id/history', protect, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('orderId status paymentStatus statusHistory')
+      .populate('statusHistory.actor', 'name email');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json({
+      orderId: order.orderId,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      history: order.statusHistory
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching order history', error: error.message });
+  }
+});
+
 // @route   POST /api/orders
-// @desc    Create new order
-// @access  Public (can be protected if needed)
-router.post('/', [
+// @desc    Create new order (linked to the shopper account when a token is sent).
+//          The order is unpaid, so it takes no stock until staff confirm it or mark it paid.
+// @access  Public
+router.post('/', optionalAuth, [
   body('customer.name').notEmpty().withMessage('Customer name is required'),
   body('customer.email').isEmail().withMessage('Valid email is required'),
   body('customer.phone').notEmpty().withMessage('Phone is required'),
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
-  body('total').isFloat({ min: 0 }).withMessage('Total must be a positive number')
+  body('total').optional().isFloat({ min: 0 }).withMessage('Total must be a positive number')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -62,55 +122,42 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Generate order ID
-    const orderCount = await Order.countDocuments();
-    const orderId = `ORD-${String(orderCount + 1).padStart(3, '0')}`;
+    // Never trust client prices: re-derive line prices and total from the catalog
+    const { items, total } = await priceOrder(req.body.items, req.body.total);
 
     const order = new Order({
-      orderId,
-      ...req.body
+      orderId: await generateOrderId(),
+      customer: req.body.customer,
+      user: req.user ? req.user._id : null,
+      items,
+      total,
+      notes: req.body.notes || ''
     });
 
-    await order.save();
+    await saveWithSequenceId(order, 'order', 'orderId');
 
     // Update or create customer
-    let customer = await Customer.findOne({ email: req.body.customer.email });
-    
-    if (customer) {
-      customer.totalOrders += 1;
-      customer.totalSpent += req.body.total;
-      customer.lastOrderDate = new Date();
-      customer.paymentStatus = req.body.paymentStatus || 'Pending';
-      if (req.body.customer.name) customer.customerName = req.body.customer.name;
-      if (req.body.customer.phone) customer.phone = req.body.customer.phone;
-      if (req.body.customer.location) customer.location = req.body.customer.location;
-    } else {
-      customer = new Customer({
-        customerId: `CUST-${String(await Customer.countDocuments() + 1).padStart(3, '0')}`,
-        customerName: req.body.customer.name,
-        email: req.body.customer.email,
-        phone: req.body.customer.phone || '',
-        location: req.body.customer.country || '',
-        totalOrders: 1,
-        totalSpent: req.body.total,
-        lastOrderDate: new Date(),
-        paymentStatus: req.body.paymentStatus || 'Pending'
-      });
-    }
-
-    await customer.save();
+    await recordCustomerOrder(req.body.customer, total, req.body.paymentStatus || 'Pending');
 
     res.status(201).json(order);
   } catch (error) {
+    if (error instanceof PricingError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
     res.status(500).json({ message: 'Error creating order', error: error.message });
   }
 });
 
 // @route   PUT /api/orders/:id/status
-// @desc    Update order status
-// @access  Private/Admin
-router.put('/:id/status', protect, admin, [
-  body('status').isIn(['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled']).withMessage('Invalid status')
+// @desc    Update order status (Pending → Processing → Shipped → Delivered, cancellable before shipping)
+// @access  Private/Staff (orders:update)
+router.put('/:id/status', protect, requirePermission('orders:update'), [
+  body('status').isIn(ORDER_STATUSES).withMessage('Invalid status'),
+  body('paymentStatus').optional().isIn(PAYMENT_STATUSES).withMessage('Invalid payment status'),
+  body('note').optional().isString().withMessage('Note must be text'),
+  body('tracking.carrier').optional().isString().withMessage('Carrier must be text'),
+  body('tracking.trackingNumber').optional().isString().withMessage('Tracking number must be text'),
+  body('tracking.trackingUrl').optional({ checkFalsy: true }).isURL().withMessage('Tracking URL must be a valid URL')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -123,17 +170,90 @@ router.put('/:id/status', protect, admin, [
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    if (!order.canTransitionTo(req.body.status)) {
+      return res.status(400).json({
+        message: `Cannot change order status from ${order.status} to ${req.body.status}`
+      });
+    }
+
+    const confirming = order.status === 'Pending' && !['Pending', 'Cancelled'].includes(req.body.status);
+    const paying = req.body.paymentStatus === 'Complete' && order.paymentStatus !== 'Complete';
+
     order.status = req.body.status;
     if (req.body.paymentStatus) {
       order.paymentStatus = req.body.paymentStatus;
     }
+    if (req.body.tracking) {
+      const { carrier, trackingNumber, trackingUrl } = req.body.tracking;
+      if (carrier !== undefined) order.tracking.carrier = carrier;
+      if (trackingNumber !== undefined) order.tracking.trackingNumber = trackingNumber;
+      if (trackingUrl !== undefined) order.tracking.trackingUrl = trackingUrl;
+    }
+
+    if (order.isModified('status') || order.isModified('paymentStatus')) {
+      order.recordStatusChange({ actor: req.user._id, note: req.body.note || '' });
+    }
+
+    // Unpaid orders take their stock when confirmed or paid (a shortage refuses the change
+    // unless the payment is already in); cancelled orders give it back
+    if (order.status === 'Cancelled') {
+      await restoreOrderStock(order);
+    } else if (confirming || paying) {
+      await commitOrderStock(order, { force: order.paymentStatus === 'Complete' });
+    }
 
     await order.save();
     res.json(order);
   } catch (error) {
+    if (error instanceof InventoryError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
     res.status(500).json({ message: 'Error updating order', error: error.message });
   }
 });
 
-export default router;
+// @route   POST /api/orders/:id/refunds
+// @desc    Refund an order through Stripe (whole order, selected items, or an amount)
+// @access  Private/Staff (orders:refund)
+router.post('/:id/refunds', protect, requirePermission('orders:refund'), [
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.itemId').optional().isMongoId().withMessage('Invalid item ID'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be at least 0.01'),
+  body('reason').optional().isString().withMessage('Reason must be text')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
 
+    const { refund, order: updatedOrder } = await issueRefund(order, {
+      items: req.body.items,
+      amount: req.body.amount,
+      reason: req.body.reason || ''
+    }, req.user._id);
+
+    res.status(201).json({
+      refundId: refund.id,
+      amount: refund.amount / 100,
+      status: refund.status,
+      order: updatedOrder
+    });
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
+    if (error.type && error.type.startsWith('Stripe')) {
+      return res.status(error.statusCode || 502).json({ message: 'Stripe refused the refund', error: error.message });
+    }
+    res.status(500).json({ message: 'Error refunding order', error: error.message });
+  }
+});
+
+export default router;
@@ -1,30 +1,25 @@
 import express from 'express';
-import Stripe from 'stripe';
-import Order from '../models/Order.js';
-import Customer from '../models/Customer.js';
+import Checkout from '../models/Checkout.js';
+import stripe, { isStripeConfigured } from '../config/stripe.js';
 import { body, validationResult } from 'express-validator';
+import { optionalAuth } from '../middleware/auth.js';
+import { priceCart, toMinorUnits, PricingError } from '../services/pricingService.js';
+import { finalizePaidOrder } from '../services/orderService.js';
+import { handleStripeEvent, flagChargeMismatch } from '../services/paymentService.js';
+import { createTrackingToken } from '../services/trackingService.js';
+import { decrementStock, restoreStock, reservationExpiry, InventoryError } from '../services/inventoryService.js';
 
 const router = express.Router();
 
-// Initialize Stripe
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || '', {
-  apiVersion: '2024-11-20.acacia',
-});
-
-// Check if Stripe is configured
-if (!process.env.STRIPE_SECRET_KEY) {
-  console.warn('⚠️  STRIPE_SECRET_KEY not set. Payment functionality will not work.');
-}
-
 // @route   POST /api/payments/create-intent
-// @desc    Create payment intent
+// @desc    Create payment intent (amount is computed server-side from the cart items)
 // @access  Public
-router.post('/create-intent', [
-  body('amount').isFloat({ min: 0.5 }).withMessage('Amount must be at least 0.50'),
+router.post('/create-intent', optionalAuth, [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('currency').isIn(['usd', 'eur', 'gbp', 'inr']).withMessage('Invalid currency')
 ], async (req, res) => {
   try {
-    if (!process.env.STRIPE_SECRET_KEY) {
+    if (!isStripeConfigured()) {
       return res.status(500).json({ 
         message: 'Payment gateway not configured. Please set STRIPE_SECRET_KEY in environment variables.' 
       });
@@ -35,45 +30,78 @@ router.post('/create-intent', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { amount, currency = 'usd' } = req.body;
+    const { currency = 'usd', customer, shipping } = req.body;
+
+    // Any `amount` sent by the client is ignored; the catalog is the source of truth
+    const { items, total: amount } = await priceCart(req.body.items);
+    if (amount < 0.5) {
+      return res.status(400).json({ message: 'Amount must be at least 0.50' });
+    }
 
     // Convert amount to cents (Stripe uses smallest currency unit)
-    const amountInCents = Math.round(amount * 100);
-
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountInCents,
-      currency: currency.toLowerCase(),
-      metadata: {
-        integration_check: 'accept_a_payment',
-      },
-    });
+    const amountInCents = toMinorUnits(amount);
+
+    // Hold the stock while the customer pays; released again if the payment never succeeds
+    await decrementStock(items);
+
+    let paymentIntent;
+    try {
+      // Create payment intent
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: amountInCents,
+        currency: currency.toLowerCase(),
+        metadata: {
+          integration_check: 'accept_a_payment',
+          total: String(amount),
+        },
+        ...(customer && customer.email ? { receipt_email: customer.email } : {}),
+      });
+
+      // Keep a server-side copy of the cart so the webhook can create the order on its own
+      await Checkout.create({
+        paymentIntentId: paymentIntent.id,
+        customer: customer || {},
+        user: req.user ? req.user._id : null,
+        items,
+        total: amount,
+        currency: currency.toLowerCase(),
+        shippingMethod: shipping && shipping.method ? shipping.method : '',
+        stockStatus: 'Reserved',
+        reservedUntil: reservationExpiry(),
+      });
+    } catch (error) {
+      await restoreStock(items);
+      throw error;
+    }
 
     console.log(`✅ Payment intent created: ${paymentIntent.id} for $${amount} ${currency}`);
 
     res.json({
       clientSecret: paymentIntent.client_secret,
       paymentIntentId: paymentIntent.id,
+      amount,
     });
   } catch (error) {
+    if (error instanceof PricingError || error instanceof InventoryError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
     console.error('Stripe error:', error);
     res.status(500).json({ message: 'Error creating payment intent', error: error.message });
   }
 });
 
 // @route   POST /api/payments/confirm
-// @desc    Confirm payment and create order
+// @desc    Confirm payment and create order. The order is built from the checkout stored by
+//          create-intent (the cart that was priced and reserved), not from items sent here.
 // @access  Public
-router.post('/confirm', [
+router.post('/confirm', optionalAuth, [
   body('paymentIntentId').notEmpty().withMessage('Payment intent ID is required'),
   body('customer.name').notEmpty().withMessage('Customer name is required'),
   body('customer.email').isEmail().withMessage('Valid email is required'),
-  body('customer.phone').notEmpty().withMessage('Phone is required'),
-  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
-  body('total').isFloat({ min: 0 }).withMessage('Total must be a positive number')
+  body('customer.phone').notEmpty().withMessage('Phone is required')
 ], async (req, res) => {
   try {
-    if (!process.env.STRIPE_SECRET_KEY) {
+    if (!isStripeConfigured()) {
       return res.status(500).json({ 
         message: 'Payment gateway not configured. Please set STRIPE_SECRET_KEY in environment variables.' 
       });
@@ -84,7 +112,14 @@ router.post('/confirm', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { paymentIntentId, customer, items, total, shipping } = req.body;
+    const { paymentIntentId, customer, shipping } = req.body;
+
+    const checkout = await Checkout.findOne({ paymentIntentId });
+    if (!checkout) {
+      return res.status(404).json({ message: 'No checkout found for this payment' });
+    }
+    const { items, total } = checkout;
+    const shippingMethod = checkout.shippingMethod || (shipping && shipping.method) || '';
 
     // Verify payment intent status
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
@@ -98,70 +133,30 @@ router.post('/confirm', [
       });
     }
 
-    // Generate order ID
-    const orderCount = await Order.countDocuments();
-    const orderId = `ORD-${String(orderCount + 1).padStart(3, '0')}`;
-
-    // Create order
-    const order = new Order({
-      orderId,
-      customer: {
-        name: customer.name,
-        email: customer.email,
-        phone: customer.phone,
-        address: customer.address,
-        city: customer.city || '',
-        country: customer.country || '',
-      },
-      items: items.map(item => ({
-        productId: item.productId,
-        name: item.name,
-        price: item.price,
-        quantity: item.quantity || 1,
-        selectedSize: item.selectedSize,
-        selectedColor: item.selectedColor,
-        customization: item.customization,
-      })),
-      total,
-      status: 'Processing', // Order confirmed after payment
-      paymentStatus: 'Complete',
-      notes: shipping ? `Shipping: ${shipping.method}` : '',
-    });
-
-    await order.save();
-
-    // Update or create customer
-    let customerDoc = await Customer.findOne({ email: customer.email });
-    
-    if (customerDoc) {
-      customerDoc.totalOrders += 1;
-      customerDoc.totalSpent += total;
-      customerDoc.lastOrderDate = new Date();
-      customerDoc.paymentStatus = 'Complete';
-      if (customer.name) customerDoc.customerName = customer.name;
-      if (customer.phone) customerDoc.phone = customer.phone;
-      if (customer.country) customerDoc.location = customer.country;
-    } else {
-      customerDoc = new Customer({
-        customerId: `CUST-${String(await Customer.countDocuments() + 1).padStart(3, '0')}`,
-        customerName: customer.name,
-        email: customer.email,
-        phone: customer.phone || '',
-        location: customer.country || '',
-        totalOrders: 1,
-        totalSpent: total,
-        lastOrderDate: new Date(),
-        paymentStatus: 'Complete'
+    // Flagged on the checkout for an admin to resolve; no order is created
+    if (await flagChargeMismatch(checkout, paymentIntent)) {
+      return res.status(409).json({
+        message: 'Payment amount does not match order total',
+        charged: paymentIntent.amount / 100,
+        total
       });
     }
 
-    await customerDoc.save();
+    const { order, created } = await finalizePaidOrder({
+      paymentIntentId,
+      customer,
+      items,
+      total,
+      notes: shippingMethod ? `Shipping: ${shippingMethod}` : '',
+      user: checkout.user || (req.user ? req.user._id : null),
+    });
 
-    console.log(`✅ Order created: ${order.orderId} for customer: ${customer.email}`);
+    console.log(`✅ Order ${created ? 'created' : 'already finalized'}: ${order.orderId} for customer: ${customer.email}`);
 
-    res.status(201).json({
+    res.status(created ? 201 : 200).json({
       success: true,
       order,
+      trackingToken: createTrackingToken(order),
       message: 'Order confirmed successfully'
     });
   } catch (error) {
@@ -170,5 +165,31 @@ router.post('/confirm', [
   }
 });
 
-export default router;
+// @route   POST /api/payments/webhook
+// @desc    Stripe webhook (payment_intent.succeeded, payment_intent.payment_failed, charge.refunded)
+// @access  Public (verified with the Stripe-Signature header; server.js passes the raw body)
+router.post('/webhook', async (req, res) => {
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!webhookSecret) {
+    return res.status(500).json({ message: 'STRIPE_WEBHOOK_SECRET is not configured' });
+  }
 
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], webhookSecret);
+  } catch (error) {
+    console.error('⚠️  Stripe webhook signature verification failed:', error.message);
+    return res.status(400).json({ message: `Webhook signature verification failed: ${error.message}` });
+  }
+
+  try {
+    const handled = await handleStripeEvent(event);
+    res.json({ received: true, handled });
+  } catch (error) {
+    // Non-2xx makes Stripe retry the delivery later
+    console.error(`Stripe webhook error (${event.type} ${event.id}):`, error);
+    res.status(500).json({ message: 'Error processing webhook', error: error.message });
+  }
+});
+
+export default router;
@@ -1,51 +1,84 @@
 import express from 'express';
 import Product from '../models/Product.js';
-import { protect, admin } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import { body, validationResult } from 'express-validator';
-import upload from '../middleware/uploadMiddleware.js'; // Cloudinary multer middleware
+import upload from '../middleware/uploadMiddleware.js';
 import { createProduct } from '../controllers/productController.js';
+import { parseListQuery, paginate, PaginationError } from '../utils/pagination.js';
+import { productFilter, productFacets, CatalogError } from '../services/catalogService.js';
+import { suggest } from '../services/searchService.js';
+import { assertCategoryExists, CategoryError } from '../services/categoryService.js';
+import { StorageError } from '../services/storageService.js';
+import { storeImageUpload, mergeImageVariants, ImageError } from '../services/imageService.js';
+import { assetUrls, updateAssetReferences } from '../services/assetService.js';
 
 const router = express.Router();
 
 // Validation middleware (Kept exactly as you had it)
 const validateProduct = [
   body('name').trim().notEmpty().withMessage('Product name is required'),
-  // Accept dynamic categories managed by admin UI; just ensure category exists
+  // Accept dynamic categories managed by admin UI; the route checks the category exists
   body('category').trim().notEmpty().withMessage('Category is required'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number')
 ];
 
+const PRODUCT_SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'price', 'stock', 'salesCount', 'position'];
+// Storefront-friendly sort names
+const PRODUCT_SORT_ALIASES = {
+  featured: 'position',
+  newest: '-createdAt',
+  popularity: '-salesCount',
+  price_asc: 'price',
+  price_desc: '-price'
+};
+
 // @route   GET /api/products
-// @desc    Get all products (public) - Filter/Search/Sort logic preserved
+// @desc    Get products (public), paginated: ?page|cursor, limit, sort (price, -price, newest, popularity,
+//          featured, relevance when searching), fields (e.g. -images). Within a category, products
+//          default to their configured order (featured).
+//          Filters: category, search, bestseller, isNew, onSale, inStock, featureType, sizes, colors, minPrice, maxPrice
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const { category, search, active, bestseller } = req.query;
-    const query = {};
-
-    if (category && category !== 'all') {
-      query.category = category;
-    }
-
-    if (active !== 'false') {
-      query.active = true;
-    }
+    const { filter, textSearch } = await productFilter(req.query);
+    const sort = PRODUCT_SORT_ALIASES[req.query.sort] || req.query.sort;
+    const listOptions = parseListQuery(Product, { ...req.query, sort }, {
+      sortFields: PRODUCT_SORT_FIELDS,
+      defaultSort: req.query.category && req.query.category !== 'all' ? 'position' : '-createdAt',
+      relevance: textSearch
+    });
 
-    if (bestseller === 'true') {
-      query.isBestseller = true;
+    res.json(await paginate(Product, filter, listOptions));
+  } catch (error) {
+    if (error instanceof PaginationError || error instanceof CatalogError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
     }
+    res.status(500).json({ message: 'Error fetching products', error: error.message });
+  }
+});
 
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
+// @route   GET /api/products/suggest
+// @desc    Search box suggestions: ?q= returns matching products and categories
+// @access  Public
+router.get('/suggest', async (req, res) => {
+  try {
+    res.json(await suggest(req.query.q));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching suggestions', error: error.message });
+  }
+});
 
-    const products = await Product.find(query).sort({ createdAt: -1 });
-    res.json(products);
+// @route   GET /api/products/facets
+// @desc    Counts per filter value (categories, sizes, colors, ...) for the same filters as GET /api/products
+// @access  Public
+router.get('/facets', async (req, res) => {
+  try {
+    res.json(await productFacets(req.query));
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching products', error: error.message });
+    if (error instanceof CatalogError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
+    res.status(500).json({ message: 'Error fetching product facets', error: error.message });
   }
 });
 
@@ -77,6 +110,31 @@ router.get('/new-arrivals/list', async (req, res) => {
   }
 });
 
+// @route   GET /api/products/slug/:slug
+// @desc    Get single product by slug; old slugs of renamed products answer 301 with the new location
+// @access  Public
+router.get('/slug/:slug', async (req, res) => {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+    const product = await Product.findOne({ slug });
+    if (product) {
+      return res.json(product);
+    }
+
+    const renamed = await Product.findOne({ previousSlugs: slug }, { slug: 1 });
+    if (renamed) {
+      return res
+        .status(301)
+        .location(`${req.baseUrl}/slug/${encodeURIComponent(renamed.slug)}`)
+        .json({ message: 'Product has moved', slug: renamed.slug });
+    }
+
+    res.status(404).json({ message: 'Product not found' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching product', error: error.message });
+  }
+});
+
 // @route   GET /api/products/:id
 // @desc    Get single product (public)
 // @access  Public
@@ -99,13 +157,13 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/products
 // @desc    Create new product (images pre-uploaded to /api/uploads and sent as URLs in JSON body)
-// @access  Private/Admin
-router.post('/', protect, admin, validateProduct, createProduct);
+// @access  Private/Staff (products:write)
+router.post('/', protect, requirePermission('products:write'), validateProduct, createProduct);
 
 // @route   PUT /api/products/:id
 // @desc    Update product
-// @access  Private/Admin
-router.put('/:id', protect, admin, upload.array('images', 10), validateProduct, async (req, res) => {
+// @access  Private/Staff (products:write)
+router.put('/:id', protect, requirePermission('products:write'), upload.array('images', 10), validateProduct, async (req, res) => {
   try {
     // Debug logs to trace update requests
     console.log('PUT /api/products/:id called with id=', req.params.id);
@@ -127,8 +185,9 @@ router.put('/:id', protect, admin, upload.array('images', 10), validateProduct,
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
+    const previousAssets = assetUrls(product);
 
-    const { name, category, price, originalPrice, description, isBestseller, isNew, features, featureType, stock, active, existingImages, colors } = req.body;
+    const { name, slug, category, price, originalPrice, description, isBestseller, isNew, features, featureType, stock, trackInventory, active, existingImages, colors } = req.body;
 
     // Update features (normalize to size + price + quantity) FIRST so we can use them to set root price
     let updatedFeatures = product.features || [];
@@ -148,8 +207,17 @@ router.put('/:id', protect, admin, upload.array('images', 10), validateProduct,
     }
     product.features = updatedFeatures;
 
-    // Update basic fields
+    if (category !== product.category) {
+      await assertCategoryExists(category);
+    }
+
+    // Update basic fields (a new name also gets a new slug unless one is sent; a sent slug
+    // is kept even when it equals the current one)
     product.name = name;
+    if (slug !== undefined) {
+      product.slug = slug;
+      product.markModified('slug');
+    }
     product.category = category;
     product.originalPrice = originalPrice ? parseFloat(originalPrice) : null;
     product.description = description || '';
@@ -157,6 +225,9 @@ router.put('/:id', protect, admin, upload.array('images', 10), validateProduct,
     product.isNew = isNew === 'true' || isNew === true;
     product.featureType = featureType || 'size';
     product.stock = stock ? parseInt(stock) : product.stock;
+    if (trackInventory !== undefined) {
+      product.trackInventory = trackInventory === 'true' || trackInventory === true;
+    }
     if (active !== undefined) {
       product.active = active === 'true' || active === true;
     }
@@ -176,7 +247,15 @@ router.put('/:id', protect, admin, upload.array('images', 10), validateProduct,
     if (req.files && req.files.length > 0) {
       console.log(`✅ Updating product with ${req.files.length} new image(s) uploaded to server`);
 
-      const newImages = req.files.map(file => `data:${file.mimetype};base64,${file.buffer.toString('base64')}`);
+      // Stored as resized variants with the configured storage driver; only URLs go into the product
+      const stored = [];
+      for (const file of req.files) {
+        stored.push(await storeImageUpload(file, 'products'));
+      }
+      const newImages = stored.map(({ url }) => url);
+      product.imageVariants = stored
+        .filter(({ variants }) => variants)
+        .map(({ url, variants }) => ({ source: url, ...variants }));
 
       // Strategy: Replace old images with new ones (you could append instead if preferred)
       product.images = newImages;
@@ -208,6 +287,11 @@ router.put('/:id', protect, admin, upload.array('images', 10), validateProduct,
       }
     }
 
+    // Variants of kept images stay; `imageVariants` from /api/uploads responses adds new ones
+    if (!req.files || req.files.length === 0) {
+      product.imageVariants = mergeImageVariants(product.imageVariants, req.body.imageVariants, product.images);
+    }
+
     // Update colors
     if (colors) {
       try {
@@ -221,26 +305,36 @@ router.put('/:id', protect, admin, upload.array('images', 10), validateProduct,
     }
 
     const updatedProduct = await product.save();
+    // Replaced images are deleted from storage unless something else still uses them
+    await updateAssetReferences(previousAssets, assetUrls(updatedProduct));
     res.json(updatedProduct);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error instanceof CategoryError) {
+      return res.status(error.status).json({ message: error.message, errors: error.details });
+    }
+    if (error instanceof StorageError || error instanceof ImageError) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error updating product', error: error.message });
   }
 });
 
 // @route   DELETE /api/products/:id
 // @desc    Delete product
-// @access  Private/Admin
-router.delete('/:id', protect, admin, async (req, res) => {
+// @access  Private/Staff (products:delete)
+router.delete('/:id', protect, requirePermission('products:delete'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    // ✅ CLOUDINARY UPDATE: No need to delete local files using fs.unlinkSync
-    // Optional: You could delete from Cloudinary using their API here, but it's not strictly required.
-    
     await Product.findByIdAndDelete(req.params.id);
+    // Its images are deleted from storage unless another product or category uses them
+    await updateAssetReferences(assetUrls(product), []);
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting product', error: error.message });
@@ -0,0 +1,252 @@
+import express from 'express';
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { body, param, validationResult } from 'express-validator';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { ROLES, roleOf } from '../config/permissions.js';
+import {
+  toAccountView,
+  sendPasswordResetEmail,
+  sendStaffInvitationEmail,
+  countOtherActiveOwners
+} from '../services/accountService.js';
+import { revokeAllSessions } from '../services/tokenService.js';
+import { disableTwoFactor } from '../services/twoFactorService.js';
+
+const router = express.Router();
+
+// Every route here manages staff accounts
+router.use(protect, requirePermission('users:manage'));
+
+const INVITE_EXPIRE_HOURS = parseInt(process.env.STAFF_INVITE_EXPIRE_HOURS, 10) || 72;
+
+const toUserView = (user) => ({
+  ...toAccountView(user),
+  active: user.active,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+// Unusable random password for accounts whose password must be (re)set through an email link
+const randomPassword = () => crypto.randomBytes(32).toString('hex');
+
+// The shop must always keep at least one active owner who can manage staff
+const wouldRemoveLastOwner = async (user) =>
+  roleOf(user) === 'owner' && user.active && await countOtherActiveOwners(user._id) === 0;
+
+// @route   GET /api/users
+// @desc    List staff accounts (or shoppers with ?accountType=shopper)
+// @access  Private/Staff (users:manage)
+router.get('/', async (req, res) => {
+  try {
+    const { role, active, accountType = 'staff' } = req.query;
+    const query = accountType === 'shopper'
+      ? { accountType: 'shopper' }
+      : { accountType: { $ne: 'shopper' } };
+
+    if (role) query.role = role;
+    if (active !== undefined) query.active = active === 'true';
+
+    const users = await User.find(query).select('-password').sort({ createdAt: -1 });
+    res.json(users.map(toUserView));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching users', error: error.message });
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get one account
+// @access  Private/Staff (users:manage)
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(toUserView(user));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching user', error: error.message });
+  }
+});
+
+// @route   POST /api/users
+// @desc    Invite a staff member (emails a link to set their password)
+// @access  Private/Staff (users:manage)
+router.post('/', [
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = req.body.email.toLowerCase().trim();
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    const user = new User({
+      email,
+      name: req.body.name,
+      password: randomPassword(),
+      accountType: 'staff',
+      role: req.body.role
+    });
+    const token = user.createPasswordResetToken(INVITE_EXPIRE_HOURS * 60);
+    await user.save();
+
+    await sendStaffInvitationEmail(user, token, req.user);
+
+    res.status(201).json(toUserView(user));
+  } catch (error) {
+    res.status(500).json({ message: 'Error inviting user', error: error.message });
+  }
+});
+
+// @route   PUT /api/users/:id
+// @desc    Change a staff member's name, role or active state
+// @access  Private/Staff (users:manage)
+router.put('/:id', [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('active').optional().isBoolean().withMessage('Active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { name, role, active } = req.body;
+    const demoting = role !== undefined && role !== 'owner';
+    const deactivating = active === false || active === 'false';
+
+    if (role !== undefined && user.accountType === 'shopper') {
+      return res.status(400).json({ message: 'Roles can only be assigned to staff accounts' });
+    }
+    if ((demoting || deactivating) && await wouldRemoveLastOwner(user)) {
+      return res.status(400).json({ message: 'Cannot remove the last active owner' });
+    }
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (active !== undefined) user.active = active === true || active === 'true';
+
+    await user.save();
+
+    if (deactivating) {
+      await revokeAllSessions(user, 'deactivated');
+    }
+
+    res.json(toUserView(user));
+  } catch (error) {
+    res.status(500).json({ message: 'Error updating user', error: error.message });
+  }
+});
+
+// @route   DELETE /api/users/:id
+// @desc    Deactivate an account (kept for order history; reactivate with PUT active=true)
+// @access  Private/Staff (users:manage)
+router.delete('/:id', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (await wouldRemoveLastOwner(user)) {
+      return res.status(400).json({ message: 'Cannot remove the last active owner' });
+    }
+
+    user.active = false;
+    await user.save();
+    await revokeAllSessions(user, 'deactivated');
+
+    res.json({ message: 'User deactivated successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error deactivating user', error: error.message });
+  }
+});
+
+// @route   POST /api/users/:id/force-password-reset
+// @desc    Invalidate the current password, sign out everywhere and email a reset link
+// @access  Private/Staff (users:manage)
+router.post('/:id/force-password-reset', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.password = randomPassword();
+    const token = user.createPasswordResetToken();
+    await user.save();
+    await revokeAllSessions(user, 'forced-password-reset');
+    await sendPasswordResetEmail(user, token);
+
+    res.json({ message: 'Password reset email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error forcing password reset', error: error.message });
+  }
+});
+
+// @route   POST /api/users/:id/reset-2fa
+// @desc    Remove a user's two-factor setup (lost device) and sign them out everywhere.
+//          Roles that require 2FA will be asked to enrol again on their next login.
+// @access  Private/Staff (users:manage)
+router.post('/:id/reset-2fa', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await disableTwoFactor(user._id);
+    await revokeAllSessions(user, '2fa-reset');
+    console.log(`🔒 Two-factor authentication reset for ${user.email} by ${req.user.email}`);
+
+    res.json({ message: 'Two-factor authentication reset' });
+  } catch (error) {
+    res.status(500).json({ message: 'Error resetting two-factor authentication', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { storeImage } from '../services/imageService.js';
+import { assetUrls, updateAssetReferences } from '../services/assetService.js';
+
+dotenv.config();
+
+// Generates resized variants for product and category images uploaded before variants existed.
+//
+//   npm run backfill-variants               process every image without variants
+//   npm run backfill-variants -- --dry-run  only report what would be processed
+//   npm run backfill-variants -- --limit=50 stop after 50 products/categories
+//
+// Resumable: each document is updated as soon as its variants are stored and skipped on the
+// next run. Inline data-URI images are skipped; move them out first with `npm run migrate-images`.
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1], 10) : 0;
+
+const FETCH_TIMEOUT_MS = 30 * 1000;
+
+const isUrl = (value) => /^https?:\/\//i.test(value || '');
+
+const download = async (url) => {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} fetching ${url}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+const variantsFor = async (url, folder) => {
+  const { variants } = await storeImage(await download(url), folder);
+  return { source: url, ...variants };
+};
+
+const backfillImageVariants = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crafting-sign');
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('ℹ️  Dry run: nothing will be uploaded or changed');
+
+    let processed = 0;
+    let images = 0;
+    let failed = 0;
+
+    const products = Product.find({}, { name: 1, images: 1, imageVariants: 1 }).lean().cursor();
+    for await (const product of products) {
+      if (limit && processed >= limit) break;
+
+      const done = new Set((product.imageVariants || []).map(entry => entry.source));
+      const missing = [...new Set(product.images || [])].filter(url => isUrl(url) && !done.has(url));
+      if (missing.length === 0) continue;
+      processed++;
+
+      if (dryRun) {
+        console.log(`• Product ${product._id} "${product.name}": ${missing.length} image(s)`);
+        images += missing.length;
+        continue;
+      }
+
+      const added = [];
+      for (const url of missing) {
+        try {
+          added.push(await variantsFor(url, 'products'));
+        } catch (error) {
+          console.error(`❌ Product ${product._id} "${product.name}": ${error.message}`);
+          failed++;
+        }
+      }
+      if (added.length > 0) {
+        await Product.updateOne({ _id: product._id }, { $push: { imageVariants: { $each: added } } });
+        await updateAssetReferences([], assetUrls({ imageVariants: added }));
+        console.log(`✅ Product ${product._id} "${product.name}": ${added.length} image(s)`);
+        images += added.length;
+      }
+    }
+
+    const categories = Category.find({ image: /^https?:\/\//i }, { id: 1, image: 1, imageVariants: 1 }).lean().cursor();
+    for await (const category of categories) {
+      if (limit && processed >= limit) break;
+      if (category.imageVariants && category.imageVariants.source === category.image) continue;
+      processed++;
+
+      if (dryRun) {
+        console.log(`• Category ${category.id}: 1 image`);
+        images++;
+        continue;
+      }
+
+      try {
+        const imageVariants = await variantsFor(category.image, 'categories');
+        // Only if the image was not replaced meanwhile
+        const result = await Category.updateOne({ _id: category._id, image: category.image }, { $set: { imageVariants } });
+        if (result.matchedCount > 0) {
+          await updateAssetReferences(assetUrls(category), assetUrls({ ...category, imageVariants }));
+        }
+        console.log(`✅ Category ${category.id}: 1 image`);
+        images++;
+      } catch (error) {
+        console.error(`❌ Category ${category.id}: ${error.message}`);
+        failed++;
+      }
+    }
+
+    if (dryRun) {
+      console.log(`ℹ️  ${images} image(s) in ${processed} product(s)/categories would get variants`);
+    } else {
+      console.log(`✅ Generated variants for ${images} image(s) in ${processed} product(s)/categories`);
+      if (failed > 0) {
+        console.log(`⚠️  ${failed} image(s) failed; fix the errors above and run again`);
+      }
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error backfilling image variants:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillImageVariants();
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+
+dotenv.config();
+
+// One-time migration: set Product.salesCount (the "popularity" sort) from existing orders.
+// New orders keep it up to date; safe to re-run, counts are recomputed from scratch.
+const backfillSalesCounts = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crafting-sign');
+    console.log('✅ Connected to MongoDB');
+
+    const sales = await Order.aggregate([
+      // Unpaid orders still waiting for confirmation have not sold anything yet
+      { $match: { status: { $ne: 'Cancelled' }, $or: [{ status: { $ne: 'Pending' } }, { stockCommitted: true }] } },
+      { $unwind: '$items' },
+      { $group: { _id: '$items.productId', sold: { $sum: { $ifNull: ['$items.quantity', 1] } } } }
+    ]);
+
+    await Product.updateMany({}, { $set: { salesCount: 0 } });
+    if (sales.length > 0) {
+      await Product.bulkWrite(sales
+        .filter(entry => entry._id)
+        .map(entry => ({
+          updateOne: { filter: { _id: entry._id }, update: { $set: { salesCount: entry.sold } } }
+        })));
+    }
+
+    console.log(`✅ Sales counts updated for ${sales.length} product(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling sales counts:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillSalesCounts();
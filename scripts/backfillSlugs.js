@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from '../models/Product.js';
+
+dotenv.config();
+
+// One-time migration: give products created before slugs existed a slug from their name.
+// Safe to re-run; products that already have a slug are left alone.
+const backfillSlugs = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crafting-sign');
+    console.log('✅ Connected to MongoDB');
+
+    const count = await Product.assignMissingSlugs();
+    console.log(`✅ Slugs assigned to ${count} product(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling slugs:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillSlugs();
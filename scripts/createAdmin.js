@@ -48,6 +48,8 @@ const createAdmin = async () => {
       email: adminEmail,
       password: 'admin123',
       name: 'Admin User',
+      accountType: 'staff',
+      role: 'owner',
       isAdmin: true,
       active: true
     });
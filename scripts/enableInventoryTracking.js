@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from '../models/Product.js';
+
+dotenv.config();
+
+// Turns on inventory tracking for products that have stock recorded (root stock or a size
+// quantity above 0). Products without any stock stay untracked and can always be ordered
+// until staff enter their stock and enable tracking. Safe to re-run.
+//
+//   npm run enable-inventory -- --dry-run   only count the products
+const dryRun = process.argv.includes('--dry-run');
+
+const enableInventoryTracking = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crafting-sign');
+    console.log('✅ Connected to MongoDB');
+
+    const filter = {
+      trackInventory: { $ne: true },
+      $or: [{ stock: { $gt: 0 } }, { 'features.quantity': { $gt: 0 } }]
+    };
+
+    if (dryRun) {
+      console.log(`ℹ️  ${await Product.countDocuments(filter)} product(s) would be tracked`);
+    } else {
+      const result = await Product.updateMany(filter, { $set: { trackInventory: true } });
+      console.log(`✅ Inventory tracking enabled for ${result.modifiedCount} product(s)`);
+    }
+
+    const untracked = await Product.countDocuments({ trackInventory: { $ne: true } });
+    console.log(`ℹ️  ${untracked} product(s) are untracked and can always be ordered`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error enabling inventory tracking:', error.message);
+    process.exit(1);
+  }
+};
+
+enableInventoryTracking();
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { collectGarbage, resyncReferenceCounts } from '../services/assetService.js';
+
+dotenv.config();
+
+// Finds stored files that no product or category references any more.
+//
+//   npm run gc-assets                         list unreferenced files
+//   npm run gc-assets -- --delete             delete them (and resync the asset registry)
+//   npm run gc-assets -- --resync             only recompute reference counts
+//   npm run gc-assets -- --prefix=products/   only look under one folder
+//   npm run gc-assets -- --grace-hours=48     ignore files uploaded in the last 48 hours (default 24)
+//
+// Meant to run on a schedule (see the gc-assets app in ecosystem.config.js).
+const args = process.argv.slice(2);
+const option = (name) => {
+  const arg = args.find(entry => entry.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+const remove = args.includes('--delete');
+const resync = args.includes('--resync');
+const prefix = option('prefix') ?? '';
+const graceHours = option('grace-hours') !== undefined ? Number(option('grace-hours')) : undefined;
+
+const gcAssets = async () => {
+  try {
+    if (graceHours !== undefined && (!Number.isFinite(graceHours) || graceHours < 0)) {
+      throw new Error('--grace-hours must be a positive number');
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crafting-sign');
+    console.log('✅ Connected to MongoDB');
+
+    if (resync || remove) {
+      console.log(`✅ Reference counts corrected for ${await resyncReferenceCounts()} asset(s)`);
+    }
+    if (resync) process.exit(0);
+
+    const result = await collectGarbage({ prefix, graceHours, remove });
+
+    result.unreferenced.forEach(object => console.log(`• ${object.key}`));
+    console.log(`ℹ️  ${result.scanned} file(s)${prefix ? ` under "${prefix}"` : ''}, ${result.unreferenced.length} unreferenced`);
+    if (remove) {
+      console.log(`✅ Deleted ${result.deleted} file(s)`);
+    } else if (result.unreferenced.length > 0) {
+      console.log('ℹ️  Run with --delete to remove them');
+    }
+
+    process.exit(remove && result.deleted < result.unreferenced.length ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error collecting unreferenced files:', error.message);
+    process.exit(1);
+  }
+};
+
+gcAssets();
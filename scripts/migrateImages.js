@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from '../models/Product.js';
+import { storeDataUri } from '../services/storageService.js';
+import { assetUrls, updateAssetReferences } from '../services/assetService.js';
+
+dotenv.config();
+
+// Moves product images stored inline as data URIs into object storage (STORAGE_DRIVER) and replaces them with URLs.
+//
+//   npm run migrate-images               migrate every product that still has data URIs
+//   npm run migrate-images -- --dry-run  only report what would be moved
+//   npm run migrate-images -- --limit=50 stop after 50 products
+//
+// Resumable: each product is rewritten as soon as its images are stored, and migrated
+// products no longer match, so an interrupted run continues where it stopped. Object keys
+// are derived from the image content, so images stored before a crash are just overwritten.
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const limitArg = args.find(arg => arg.startsWith('--limit='));
+const limit = limitArg ? parseInt(limitArg.split('=')[1], 10) : 0;
+
+const isDataUri = (value) => typeof value === 'string' && value.startsWith('data:');
+
+const formatSize = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+const migrateImages = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crafting-sign');
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('ℹ️  Dry run: nothing will be uploaded or changed');
+
+    const filter = { $or: [{ image: /^data:/ }, { images: /^data:/ }] };
+    console.log(`ℹ️  ${await Product.countDocuments(filter)} product(s) have inline images`);
+
+    const cursor = Product.find(filter, { name: 1, image: 1, images: 1 }).lean().cursor();
+
+    let processed = 0;
+    let migrated = 0;
+    let failed = 0;
+    let bytes = 0;
+
+    for await (const product of cursor) {
+      if (limit && processed >= limit) break;
+      processed++;
+
+      const inline = [...new Set([product.image, ...(product.images || [])].filter(isDataUri))];
+      const size = inline.reduce((sum, uri) => sum + uri.length, 0);
+      bytes += size;
+
+      if (dryRun) {
+        console.log(`• ${product._id} "${product.name}": ${inline.length} image(s), ${formatSize(size)}`);
+        continue;
+      }
+
+      try {
+        const urls = new Map();
+        for (const uri of inline) {
+          urls.set(uri, (await storeDataUri(uri, 'products')).url);
+        }
+        const replace = (value) => (urls.has(value) ? urls.get(value) : value);
+
+        // Only overwrite the images we read, in case the product was edited meanwhile
+        const update = { image: replace(product.image), images: (product.images || []).map(replace) };
+        const result = await Product.updateOne(
+          { _id: product._id, image: product.image, images: product.images },
+          { $set: update }
+        );
+
+        if (result.matchedCount === 0) {
+          console.log(`⚠️  ${product._id} "${product.name}" changed during migration; run again to retry it`);
+          failed++;
+        } else {
+          await updateAssetReferences(assetUrls(product), assetUrls({ ...product, ...update }));
+          console.log(`✅ ${product._id} "${product.name}": moved ${inline.length} image(s), ${formatSize(size)}`);
+          migrated++;
+        }
+      } catch (error) {
+        console.error(`❌ ${product._id} "${product.name}": ${error.message}`);
+        failed++;
+      }
+    }
+
+    if (dryRun) {
+      console.log(`ℹ️  ${processed} product(s) would be migrated, ${formatSize(bytes)} of inline image data`);
+    } else {
+      console.log(`✅ Migrated ${migrated} product(s), ${formatSize(bytes)} of inline image data processed`);
+      if (failed > 0) {
+        console.log(`⚠️  ${failed} product(s) could not be migrated; fix the errors above and run again`);
+      }
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error migrating images:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateImages();
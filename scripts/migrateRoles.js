@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+
+dotenv.config();
+
+// One-time migration from the single isAdmin flag to staff roles:
+// every isAdmin user without a role becomes an owner. Safe to re-run.
+const migrateRoles = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crafting-sign');
+    console.log('✅ Connected to MongoDB');
+
+    const result = await User.updateMany(
+      { isAdmin: true, role: { $in: [null] } },
+      { $set: { role: 'owner', accountType: 'staff' } }
+    );
+    console.log(`✅ Mapped ${result.modifiedCount} admin user(s) to the owner role`);
+
+    const withoutRole = await User.countDocuments({ accountType: { $ne: 'shopper' }, role: { $in: [null] } });
+    if (withoutRole > 0) {
+      console.log(`ℹ️  ${withoutRole} non-admin staff account(s) have no role and cannot access admin routes until one is assigned`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating roles:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateRoles();
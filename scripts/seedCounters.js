@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Order from '../models/Order.js';
+import Customer from '../models/Customer.js';
+import { highestExistingId, ensureSequenceAtLeast } from '../services/counterService.js';
+
+dotenv.config();
+
+// One-time migration: start the order/customer counters after the highest existing ID
+// so IDs generated by the old countDocuments() scheme are never handed out again.
+// Safe to re-run; counters are only ever raised.
+const sources = [
+  { name: 'order', model: Order, field: 'orderId' },
+  { name: 'customer', model: Customer, field: 'customerId' }
+];
+
+const seedCounters = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crafting-sign');
+    console.log('✅ Connected to MongoDB');
+
+    for (const { name, model, field } of sources) {
+      const highest = await highestExistingId(name, model, field);
+      const seq = await ensureSequenceAtLeast(name, highest);
+      console.log(`✅ ${name} counter: highest existing ${highest}, counter now ${seq}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error seeding counters:', error.message);
+    process.exit(1);
+  }
+};
+
+seedCounters();
@@ -136,6 +136,8 @@ const seedData = async () => {
         { upsert: true, new: true }
       );
     }
+    // Upserts skip the model hooks, so slugs are filled in afterwards
+    await Product.assignMissingSlugs();
     console.log('✅ Products seeded');
 
     // Create default admin user (if not exists)
@@ -145,6 +147,8 @@ const seedData = async () => {
         email: 'admin@craftingsign.com',
         password: 'admin123',
         name: 'Admin User',
+        accountType: 'staff',
+        role: 'owner',
         isAdmin: true
       });
       console.log('✅ Default admin user created (email: admin@craftingsign.com, password: admin123)');
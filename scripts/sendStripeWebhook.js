@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import Stripe from 'stripe';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Usage:
+//   npm run stripe:webhook -- <fixture> [--payment-intent pi_123] [--url http://localhost:5000/api/payments/webhook]
+// <fixture> is a file name in scripts/fixtures/stripe (with or without .json) or a path to a JSON event.
+// The payload is signed with STRIPE_WEBHOOK_SECRET exactly like Stripe would sign it.
+const parseArgs = (argv) => {
+  const args = { fixture: null, paymentIntent: null, url: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--payment-intent') args.paymentIntent = argv[++i];
+    else if (argv[i] === '--url') args.url = argv[++i];
+    else if (!args.fixture) args.fixture = argv[i];
+  }
+  return args;
+};
+
+const resolveFixture = (name) => {
+  const candidates = [
+    name,
+    path.join(__dirname, 'fixtures/stripe', name),
+    path.join(__dirname, 'fixtures/stripe', `${name}.json`),
+  ];
+  return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+};
+
+const sendWebhook = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!args.fixture) {
+    const available = fs.readdirSync(path.join(__dirname, 'fixtures/stripe')).join(', ');
+    console.error('❌ Please pass a fixture name. Available fixtures:', available);
+    process.exit(1);
+  }
+  if (!secret) {
+    console.error('❌ STRIPE_WEBHOOK_SECRET not found in environment variables');
+    process.exit(1);
+  }
+
+  const fixturePath = resolveFixture(args.fixture);
+  if (!fixturePath) {
+    console.error(`❌ Fixture not found: ${args.fixture}`);
+    process.exit(1);
+  }
+
+  const event = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+
+  // Point the fixture at a real PaymentIntent from a local checkout
+  if (args.paymentIntent) {
+    const object = event.data.object;
+    if (object.object === 'payment_intent') object.id = args.paymentIntent;
+    if (object.object === 'charge') object.payment_intent = args.paymentIntent;
+  }
+
+  const payload = JSON.stringify(event);
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+  const url = args.url || `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+
+  console.log(`📨 Sending ${event.type} to ${url}`);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signature,
+    },
+    body: payload,
+  });
+
+  console.log(`   Status: ${response.status}`);
+  console.log(`   Body: ${await response.text()}`);
+  process.exit(response.ok ? 0 : 1);
+};
+
+sendWebhook().catch((error) => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import '../models/ApiKey.js';
+import '../models/Asset.js';
+import '../models/Category.js';
+import '../models/Checkout.js';
+import '../models/Counter.js';
+import '../models/Customer.js';
+import '../models/Order.js';
+import '../models/Product.js';
+import '../models/RefreshToken.js';
+import '../models/User.js';
+
+dotenv.config();
+
+// Brings MongoDB indexes in line with the schemas: creates new ones and drops ones the
+// schemas no longer define. Needed when an index changes shape (e.g. the product text
+// index), which MongoDB will not do on its own. Safe to re-run.
+const syncIndexes = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crafting-sign', { autoIndex: false });
+    console.log('✅ Connected to MongoDB');
+
+    for (const name of mongoose.modelNames()) {
+      const dropped = await mongoose.model(name).syncIndexes();
+      console.log(`✅ ${name}: indexes in sync${dropped.length > 0 ? ` (dropped ${dropped.join(', ')})` : ''}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error syncing indexes:', error.message);
+    process.exit(1);
+  }
+};
+
+syncIndexes();
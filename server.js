@@ -4,6 +4,7 @@ import dotenv from 'dotenv';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import multer from 'multer';
 
 // Import routes
 import productRoutes from './routes/productRoutes.js';
@@ -13,15 +14,36 @@ import orderRoutes from './routes/orderRoutes.js';
 import customerRoutes from './routes/customerRoutes.js';
 import paymentRoutes from './routes/paymentRoutes.js';
 import uploadRoutes from './routes/uploadRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import { releaseExpiredReservations } from './services/inventoryService.js';
+import { ensureTextIndex } from './services/searchService.js';
+import { resyncReferenceCounts } from './services/assetService.js';
+import { storageDriverName, localStorageRoot, LOCAL_UPLOADS_ROUTE } from './services/storageService.js';
+import { mailTransportName } from './services/mailService.js';
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start without a mail transport that is safe for this environment
+try {
+  console.log(`📧 Mail transport: ${mailTransportName()}`);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 
+// Behind a load balancer/reverse proxy, use X-Forwarded-For for req.ip (login throttling relies on it)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy);
+}
+
 // Middleware
 const corsOptions = {
   origin: function (origin, callback) {
@@ -61,6 +83,8 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
+// Stripe webhooks are verified against the raw body, so it must not be JSON-parsed first
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -71,6 +95,22 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/crafting-
 })
 .then(() => {
   console.log('✅ MongoDB connected successfully');
+
+  // Replace a product text index left over from an older definition
+  ensureTextIndex()
+    .then(rebuilt => rebuilt && console.log('✅ Product search index rebuilt'))
+    .catch(error => console.error('❌ Product search index error:', error.message));
+
+  // Count references for stored files registered before counts were kept; until then
+  // they are never deleted
+  resyncReferenceCounts({ uncountedOnly: true })
+    .then(counted => counted > 0 && console.log(`✅ Reference counts established for ${counted} stored file(s)`))
+    .catch(error => console.error('❌ Asset reference count error:', error.message));
+
+  // Return stock held by checkouts whose payment never completed
+  setInterval(() => {
+    releaseExpiredReservations().catch(error => console.error('❌ Reservation cleanup error:', error.message));
+  }, 60 * 1000);
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
@@ -85,16 +125,32 @@ app.use('/api/orders', orderRoutes);
 app.use('/api/customers', customerRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/uploads', uploadRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+
+// Files stored by the local-disk storage driver (development)
+if (storageDriverName() === 'local') {
+  console.log(`ℹ️  Storing uploads on disk in ${localStorageRoot()}`);
+  app.use(LOCAL_UPLOADS_ROUTE, express.static(localStorageRoot(), {
+    // Stored files are shown as images only: never sniffed into HTML or allowed to run scripts
+    setHeaders: (res) => {
+      res.set('X-Content-Type-Options', 'nosniff');
+      res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+    }
+  }));
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Server is running (Cloudinary Enabled)' });
+  res.json({ status: 'OK', message: 'Server is running', storage: storageDriverName() });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('🔥 Server Error:', err.stack);
-  res.status(err.status || 500).json({
+  // Upload limits (file too large, too many files, ...) are the client's fault
+  const multerStatus = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+  res.status(err instanceof multer.MulterError ? multerStatus : err.status || 500).json({
     message: err.message || 'Internal Server Error',
     error: process.env.NODE_ENV === 'development' ? err : {}
   });
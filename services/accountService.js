@@ -0,0 +1,116 @@
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import { escapeRegex } from '../utils/regex.js';
+import { sendMail } from './mailService.js';
+import { roleOf, permissionsFor, requiresTwoFactor } from '../config/permissions.js';
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * claimGuestOrders
+ * Links orders placed as a guest with the account's email to the account.
+ * Only verified emails can claim, otherwise anyone could register with someone else's address.
+ */
+export const claimGuestOrders = async (user) => {
+  if (!user.emailVerified) return 0;
+
+  const result = await Order.updateMany(
+    {
+      user: null,
+      'customer.email': { $regex: `^${escapeRegex(user.email)}$`, $options: 'i' }
+    },
+    { $set: { user: user._id } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * toAccountView
+ * Fields returned to the account owner (never the password hash)
+ */
+export const toAccountView = (user) => ({
+  _id: user._id,
+  email: user.email,
+  name: user.name,
+  phone: user.phone,
+  accountType: user.accountType,
+  role: roleOf(user),
+  permissions: permissionsFor(user),
+  isAdmin: user.isAdmin,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: Boolean(user.twoFactorEnabled),
+  twoFactorSetupRequired: requiresTwoFactor(user) && !user.twoFactorEnabled,
+  addresses: user.addresses
+});
+
+/**
+ * sendPasswordResetEmail
+ * Emails the raw reset token as a storefront link
+ */
+export const sendPasswordResetEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Reset your Crafting Sign password',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    'Someone asked to reset the password for your Crafting Sign account.',
+    `Use this link to choose a new password: ${frontendUrl()}/reset-password?token=${token}`,
+    '',
+    'The link can be used once and expires soon. If you did not ask for this, you can ignore this email.'
+  ].join('\n')
+});
+
+/**
+ * sendVerificationEmail
+ * Emails the raw verification token as a storefront link
+ */
+export const sendVerificationEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Verify your Crafting Sign email',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    `Please confirm your email address: ${frontendUrl()}/verify-email?token=${token}`,
+    '',
+    'Once verified, orders you placed as a guest with this email will show up in your account.'
+  ].join('\n')
+});
+
+/**
+ * sendStaffInvitationEmail
+ * Emails a new staff member the link to set their first password
+ */
+export const sendStaffInvitationEmail = (user, token, invitedBy) => sendMail({
+  to: user.email,
+  subject: 'You have been invited to the Crafting Sign admin',
+  text: [
+    `Hi ${user.name},`,
+    '',
+    `${invitedBy ? invitedBy.name : 'An administrator'} has created a Crafting Sign staff account for you (role: ${user.role}).`,
+    `Set your password to get started: ${frontendUrl()}/reset-password?token=${token}`
+  ].join('\n')
+});
+
+/**
+ * countOtherActiveOwners
+ * Active owner accounts other than `userId` (legacy isAdmin accounts without a role count as owners)
+ */
+export const countOtherActiveOwners = (userId) => User.countDocuments({
+  _id: { $ne: userId },
+  active: true,
+  accountType: { $ne: 'shopper' },
+  $or: [
+    { role: 'owner' },
+    { role: { $in: [null] }, isAdmin: true }
+  ]
+});
+
+export default {
+  claimGuestOrders,
+  toAccountView,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendStaffInvitationEmail,
+  countOtherActiveOwners
+};
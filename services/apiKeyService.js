@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { API_KEY_SCOPES, roleOf, hasPermission } from '../config/permissions.js';
+
+// Keys look like "csk_1a2b3c4d_<secret>"; the "csk_1a2b3c4d" part is the stored prefix
+const KEY_PREFIX = 'csk_';
+// Avoid a database write on every request: lastUsedAt is refreshed at most once a minute
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export class ApiKeyError extends Error {
+  constructor(message, status = 400, details = []) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+export const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+/**
+ * toApiKeyView
+ * What admins see about a key (never the hash)
+ */
+export const toApiKeyView = (apiKey) => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  createdBy: apiKey.createdBy,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  active: !apiKey.revokedAt && (!apiKey.expiresAt || apiKey.expiresAt > new Date()),
+  createdAt: apiKey.createdAt
+});
+
+/**
+ * createApiKey
+ * Creates a key for `creator`. Scopes must be valid API key scopes the creator holds.
+ * Returns the stored key and the raw value, which cannot be recovered later.
+ */
+export const createApiKey = async ({ name, scopes, expiresAt = null }, creator) => {
+  const unique = [...new Set(scopes)];
+  const details = unique
+    .filter(scope => !API_KEY_SCOPES.includes(scope) || !hasPermission(creator, scope))
+    .map(scope => ({
+      scope,
+      message: API_KEY_SCOPES.includes(scope) ? 'You do not have this permission' : 'Unknown scope'
+    }));
+
+  if (unique.length === 0 || details.length > 0) {
+    throw new ApiKeyError(`Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`, 400, details);
+  }
+  if (expiresAt && expiresAt <= new Date()) {
+    throw new ApiKeyError('Expiry must be in the future');
+  }
+
+  const prefix = `${KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix,
+    keyHash: hashKey(key),
+    scopes: unique,
+    createdBy: creator._id,
+    expiresAt
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * verifyApiKey
+ * Looks up an active, unexpired key and the staff member it acts for.
+ * Returns `{ apiKey, user }`, or null when the key (or its creator) is no longer valid.
+ */
+export const verifyApiKey = async (rawKey, ip = '') => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(rawKey), revokedAt: null });
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return null;
+  }
+
+  // Deactivating or demoting the creator disables their keys too
+  const user = await User.findById(apiKey.createdBy).select('-password');
+  if (!user || !user.active || !roleOf(user)) {
+    return null;
+  }
+
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } })
+      .catch(error => console.error('API key last-used update error:', error.message));
+  }
+
+  return { apiKey, user };
+};
+
+/**
+ * revokeApiKey
+ * Disables a key for good (kept for auditing)
+ */
+export const revokeApiKey = async (apiKey, actor) => {
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = actor ? actor._id : null;
+  await apiKey.save();
+  return apiKey;
+};
+
+export default { ApiKeyError, isApiKey, toApiKeyView, createApiKey, verifyApiKey, revokeApiKey };
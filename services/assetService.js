@@ -0,0 +1,220 @@
+import Asset from '../models/Asset.js';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { deleteObject, listObjects, storageDriverName } from './storageService.js';
+
+// Uploads younger than this are never collected: the product form uploads images
+// before the product is saved
+const DEFAULT_GRACE_HOURS = 24;
+
+const VARIANT_NAMES = ['thumbnail', 'card', 'full'];
+
+const variantUrls = (entry) => (entry
+  ? VARIANT_NAMES.flatMap(name => (entry[name] ? [entry[name].url, entry[name].webp] : []))
+  : []);
+
+/**
+ * assetUrls
+ * Every stored-file URL a product or category document references (images and their variants).
+ * Inline data URIs are not stored files and are left out.
+ */
+export const assetUrls = (doc) => {
+  if (!doc) return [];
+  const urls = [
+    doc.image,
+    ...(doc.images || []),
+    ...(Array.isArray(doc.imageVariants) ? doc.imageVariants : [doc.imageVariants]).flatMap(variantUrls)
+  ];
+  return [...new Set(urls.filter(url => url && !url.startsWith('data:')))];
+};
+
+/**
+ * deleteClaimed
+ * Deletes the object of an asset claimed with `deletingAt`, then its registry entry.
+ * The entry is only removed while the claim is still ours; an asset that was referenced
+ * again while its object was being deleted is reported, since the object is gone.
+ * On a storage error the claim is dropped and the error rethrown.
+ */
+const deleteClaimed = async (asset) => {
+  try {
+    await deleteObject(asset.key);
+  } catch (error) {
+    await Asset.updateOne({ _id: asset._id, deletingAt: asset.deletingAt }, { $set: { deletingAt: null } });
+    throw error;
+  }
+
+  const removed = await Asset.findOneAndDelete({ _id: asset._id, deletingAt: asset.deletingAt });
+  if (removed && removed.refCount > asset.refCount) {
+    console.error(`❌ Asset ${asset.key} was referenced again while it was being deleted`);
+  }
+};
+
+/**
+ * releaseUnreferenced
+ * Deletes the stored objects behind `urls` that nothing references any more. Each asset is
+ * claimed before its object is deleted, so concurrent releases never delete the same object
+ * twice, and assets being uploaded or whose count was never established are left alone.
+ * Storage errors are logged and the claim dropped, so `npm run gc-assets` retries.
+ */
+export const releaseUnreferenced = async (urls) => {
+  let deleted = 0;
+  for (const url of new Set(urls)) {
+    let asset;
+    while ((asset = await Asset.findOneAndUpdate(
+      { url, refCount: { $lte: 0 }, refCounted: true, ...Asset.unclaimed() },
+      { $set: { deletingAt: new Date() } },
+      { new: true }
+    ))) {
+      try {
+        await deleteClaimed(asset);
+        deleted++;
+      } catch (error) {
+        console.error(`❌ Could not delete unreferenced asset ${asset.key}:`, error.message);
+        break;
+      }
+    }
+  }
+  return deleted;
+};
+
+/**
+ * updateAssetReferences
+ * Records that a product or category went from referencing `before` to `after`
+ * (lists of URLs, see assetUrls): counts go up for new URLs and down for dropped ones,
+ * and objects no longer referenced anywhere are deleted from storage.
+ * URLs that are not in the registry (external images) are ignored.
+ */
+export const updateAssetReferences = async (before = [], after = []) => {
+  const previous = new Set(before);
+  const current = new Set(after);
+  const added = [...current].filter(url => !previous.has(url));
+  const removed = [...previous].filter(url => !current.has(url));
+
+  if (added.length > 0) {
+    await Asset.updateMany(
+      { url: { $in: added } },
+      { $inc: { refCount: 1 }, $set: { lastReferencedAt: new Date() } }
+    );
+  }
+  if (removed.length > 0) {
+    await Asset.updateMany(
+      { url: { $in: removed } },
+      [{ $set: { refCount: { $max: [0, { $subtract: ['$refCount', 1] }] } } }]
+    );
+    await releaseUnreferenced(removed);
+  }
+};
+
+// How many products and categories reference each URL, from the documents themselves
+const countReferences = async () => {
+  const counts = new Map();
+  const count = (doc) => assetUrls(doc).forEach(url => counts.set(url, (counts.get(url) || 0) + 1));
+
+  for await (const product of Product.find({}, { image: 1, images: 1, imageVariants: 1 }).lean().cursor()) {
+    count(product);
+  }
+  for await (const category of Category.find({}, { image: 1, imageVariants: 1 }).lean().cursor()) {
+    count(category);
+  }
+  return counts;
+};
+
+/**
+ * resyncReferenceCounts
+ * Recomputes registered assets' reference counts from the products and categories and marks
+ * them counted. Assets registered before counts were kept (uploads, migrated and backfilled
+ * images) start uncounted; the server counts those on startup (`uncountedOnly`).
+ * An asset whose count changes while this runs is skipped and stays as it was.
+ */
+export const resyncReferenceCounts = async ({ uncountedOnly = false } = {}) => {
+  const counts = await countReferences();
+  let updated = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length > 0) updated += (await Asset.bulkWrite(batch, { ordered: false })).modifiedCount;
+    batch = [];
+  };
+
+  const filter = uncountedOnly ? { refCounted: { $ne: true } } : {};
+  for await (const asset of Asset.find(filter, { url: 1, refCount: 1, refCounted: 1 }).lean().cursor()) {
+    const refCount = counts.get(asset.url) || 0;
+    if (refCount !== asset.refCount || asset.refCounted !== true) {
+      batch.push({
+        updateOne: {
+          filter: { _id: asset._id, refCount: asset.refCount },
+          update: { $set: { refCount, refCounted: true } }
+        }
+      });
+    }
+    if (batch.length >= 500) await flush();
+  }
+  await flush();
+  return updated;
+};
+
+/**
+ * collectGarbage
+ * Finds stored objects under `prefix` (everywhere by default) that no product or category
+ * references and that are older than `graceHours`. Only lists them unless `remove` is set;
+ * then it deletes them and brings the registry in line (registers unknown objects, corrects
+ * reference counts).
+ */
+export const collectGarbage = async ({ prefix = '', graceHours = DEFAULT_GRACE_HOURS, remove = false } = {}) => {
+  const [objects, counts] = await Promise.all([listObjects(prefix), countReferences()]);
+  const cutoff = new Date(Date.now() - graceHours * 60 * 60 * 1000);
+
+  const registered = new Map(
+    (await Asset.find({ key: { $in: objects.map(object => object.key) } }).lean()).map(asset => [asset.key, asset])
+  );
+  // A registered asset may have been stored under a URL that differs from the listed one
+  // (e.g. a Cloudinary version number), so either URL counts
+  const references = (object) => Math.max(
+    counts.get(object.url) || 0,
+    registered.has(object.key) ? counts.get(registered.get(object.key).url) || 0 : 0
+  );
+
+  const unreferenced = objects.filter(object => references(object) === 0 && object.lastModified < cutoff);
+  const result = { scanned: objects.length, unreferenced, deleted: 0 };
+  if (!remove) return result;
+
+  for (const object of unreferenced) {
+    try {
+      // Claim the key (registering unknown objects) so a running upload or release keeps it
+      const claim = await Asset.findOneAndUpdate(
+        { key: object.key, ...Asset.unclaimed() },
+        { $set: { deletingAt: new Date() }, $setOnInsert: { url: object.url, driver: storageDriverName() } },
+        { upsert: true, new: true }
+      ).catch(error => {
+        if (error.code === 11000) return null;
+        throw error;
+      });
+      if (!claim) continue;
+
+      await deleteClaimed(claim);
+      result.deleted++;
+    } catch (error) {
+      console.error(`❌ Could not delete ${object.key}:`, error.message);
+    }
+  }
+
+  const doomed = new Set(unreferenced.map(object => object.key));
+  const sync = objects
+    .filter(object => !doomed.has(object.key))
+    .map(object => ({
+      updateOne: {
+        filter: { key: object.key },
+        update: {
+          $set: { refCount: references(object), refCounted: true },
+          $setOnInsert: { url: object.url, driver: storageDriverName() }
+        },
+        upsert: true
+      }
+    }));
+  if (sync.length > 0) {
+    await Asset.bulkWrite(sync, { ordered: false });
+  }
+
+  return result;
+};
+
+export default { assetUrls, releaseUnreferenced, updateAssetReferences, resyncReferenceCounts, collectGarbage };
@@ -0,0 +1,234 @@
+import Product from '../models/Product.js';
+import { escapeRegex } from '../utils/regex.js';
+import { expandSearch } from './searchService.js';
+import { withDescendants } from './categoryService.js';
+
+const FEATURE_TYPES = Product.schema.path('featureType').enumValues;
+
+export class CatalogError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'CatalogError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+// Multi-value filters accept a comma list (sizes=S,M) or repeated parameters (sizes=S&sizes=M)
+const listParam = (value) => (Array.isArray(value) ? value : [value])
+  .flatMap(entry => String(entry).split(','))
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+const isTrue = (value) => value === 'true' || value === true;
+
+// Fresh objects each time: Mongoose casts filters in place.
+// Products without inventory tracking are always available.
+const untracked = () => ({ trackInventory: { $ne: true } });
+const inStock = () => ({ $or: [untracked(), { stock: { $gt: 0 } }, { 'features.quantity': { $gt: 0 } }] });
+// Sale price below the crossed-out original price
+const onSale = () => ({ originalPrice: { $ne: null }, $expr: { $gt: ['$originalPrice', '$price'] } });
+
+const caseInsensitive = (values) => values.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i'));
+
+/**
+ * buildProductFilters
+ * Turns the catalog query string into MongoDB clauses: `base` always applies (visibility, search),
+ * `facets` holds one clause per facet filter so the facet counts can leave their own filter out.
+ * `textSearch` tells whether the results can be ranked by relevance.
+ */
+export const buildProductFilters = async (query) => {
+  const errors = [];
+  const base = [];
+  const facets = {};
+
+  if (query.active !== 'false') {
+    base.push({ active: true });
+  }
+
+  // Text index search (typo-corrected, category names included); queries made only of
+  // very short words (e.g. "A5") fall back to a name match
+  let textSearch = false;
+  if (query.search) {
+    const expanded = await expandSearch(query.search);
+    if (expanded) {
+      base.push({ $text: { $search: expanded.search } });
+      textSearch = true;
+    } else {
+      base.push({ name: { $regex: escapeRegex(String(query.search).trim()), $options: 'i' } });
+    }
+  }
+
+  // A parent category includes the products of its subcategories
+  if (query.category && query.category !== 'all') {
+    facets.category = { category: { $in: await withDescendants(listParam(query.category)) } };
+  }
+
+  if (isTrue(query.bestseller)) {
+    facets.bestseller = { isBestseller: true };
+  }
+
+  if (isTrue(query.isNew)) {
+    facets.isNew = { isNew: true };
+  }
+
+  if (isTrue(query.onSale)) {
+    facets.onSale = onSale();
+  }
+
+  if (query.featureType) {
+    const types = listParam(query.featureType);
+    const invalid = types.filter(type => !FEATURE_TYPES.includes(type));
+    if (invalid.length > 0) {
+      errors.push({ param: 'featureType', message: `Feature type must be one of: ${FEATURE_TYPES.join(', ')}` });
+    }
+    facets.featureType = { featureType: { $in: types } };
+  }
+
+  if (query.colors) {
+    facets.colors = { colors: { $in: caseInsensitive(listParam(query.colors)) } };
+  }
+
+  // With inStock, the requested size itself has to be in stock
+  if (query.sizes) {
+    const sizes = listParam(query.sizes);
+    facets.sizes = isTrue(query.inStock)
+      ? {
+        $or: [
+          { ...untracked(), 'features.size': { $in: sizes } },
+          { features: { $elemMatch: { size: { $in: sizes }, quantity: { $gt: 0 } } } }
+        ]
+      }
+      : { 'features.size': { $in: sizes } };
+  }
+
+  if (isTrue(query.inStock)) {
+    facets.inStock = inStock();
+  }
+
+  // A product matches when its root price or any size price falls in the range
+  // (size prices of 0 mean "use the root price")
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    const range = {};
+    for (const [param, op] of [['minPrice', '$gte'], ['maxPrice', '$lte']]) {
+      if (query[param] === undefined || query[param] === '') continue;
+      const value = Number(query[param]);
+      if (!Number.isFinite(value) || value < 0) {
+        errors.push({ param, message: `${param} must be a positive number` });
+      } else {
+        range[op] = value;
+      }
+    }
+    if (range.$gte !== undefined && range.$lte !== undefined && range.$gte > range.$lte) {
+      errors.push({ param: 'minPrice', message: 'minPrice cannot be greater than maxPrice' });
+    }
+    if (Object.keys(range).length > 0) {
+      facets.price = {
+        $or: [
+          { price: range },
+          { features: { $elemMatch: { price: { ...range, $gt: 0 } } } }
+        ]
+      };
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new CatalogError('Invalid catalog filters', errors);
+  }
+
+  return { base, facets, textSearch };
+};
+
+const combine = (clauses) => (clauses.length === 0 ? {} : clauses.length === 1 ? clauses[0] : { $and: clauses });
+
+/**
+ * productFilter
+ * MongoDB filter for the product list with every requested filter applied
+ */
+export const productFilter = async (query) => {
+  const { base, facets, textSearch } = await buildProductFilters(query);
+  return { filter: combine([...base, ...Object.values(facets)]), textSearch };
+};
+
+// Every requested facet filter except the facet's own, so shoppers see
+// how many products each other value of that facet would give them
+const withoutFacet = (facets, name) =>
+  combine(Object.entries(facets).filter(([key]) => key !== name).map(([, clause]) => clause));
+
+const countValues = (match, path) => [
+  { $match: match },
+  { $project: { value: { $setUnion: [path, []] } } },
+  { $unwind: '$value' },
+  { $match: { value: { $nin: [null, ''] } } },
+  { $group: { _id: '$value', count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+const countMatching = (match, clause) => [
+  { $match: combine([match, clause]) },
+  { $count: 'count' }
+];
+
+const effectivePrices = {
+  $concatArrays: [
+    ['$price'],
+    { $filter: { input: { $ifNull: ['$features.price', []] }, cond: { $gt: ['$$this', 0] } } }
+  ]
+};
+
+/**
+ * productFacets
+ * Counts per facet value for the current filters. Each facet ignores its own filter
+ * (so picking "red" still shows how many blue products there are); `total` applies them all.
+ */
+export const productFacets = async (query) => {
+  const { base, facets } = await buildProductFilters(query);
+  const others = (name) => withoutFacet(facets, name);
+
+  // Visibility and search narrow everything, so they run once before the facets split up
+  const [result] = await Product.aggregate([
+    { $match: combine(base) },
+    {
+      $facet: {
+        total: [{ $match: combine(Object.values(facets)) }, { $count: 'count' }],
+        category: countValues(others('category'), ['$category']),
+        sizes: countValues(others('sizes'), { $ifNull: ['$features.size', []] }),
+        colors: countValues(others('colors'), {
+          $map: { input: { $ifNull: ['$colors', []] }, in: { $toLower: '$$this' } }
+        }),
+        featureType: countValues(others('featureType'), ['$featureType']),
+        inStock: countMatching(others('inStock'), inStock()),
+        isNew: countMatching(others('isNew'), { isNew: true }),
+        onSale: countMatching(others('onSale'), onSale()),
+        bestseller: countMatching(others('bestseller'), { isBestseller: true }),
+        price: [
+          { $match: others('price') },
+          { $project: { prices: effectivePrices } },
+          { $unwind: '$prices' },
+          { $group: { _id: null, min: { $min: '$prices' }, max: { $max: '$prices' } } },
+          { $project: { _id: 0, min: 1, max: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const count = (entries) => (entries[0] ? entries[0].count : 0);
+
+  return {
+    total: count(result.total),
+    facets: {
+      category: result.category,
+      sizes: result.sizes,
+      colors: result.colors,
+      featureType: result.featureType,
+      inStock: count(result.inStock),
+      isNew: count(result.isNew),
+      onSale: count(result.onSale),
+      bestseller: count(result.bestseller),
+      price: result.price[0] || { min: null, max: null }
+    }
+  };
+};
+
+export default { CatalogError, buildProductFilters, productFilter, productFacets };
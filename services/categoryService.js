@@ -0,0 +1,252 @@
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+
+export class CategoryError extends Error {
+  constructor(message, status = 400, details = []) {
+    super(message);
+    this.name = 'CategoryError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// The whole category list is small, so hierarchy questions are answered in memory
+const loadHierarchy = async (filter = {}) => {
+  const categories = await Category.find(filter).sort({ order: 1, name: 1 }).lean();
+  const children = new Map();
+  for (const category of categories) {
+    const key = category.parent || null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(category);
+  }
+  return { categories, children };
+};
+
+/**
+ * assertCategoryExists
+ * Products may only point at a category that exists (archived ones included)
+ */
+export const assertCategoryExists = async (id) => {
+  if (!id || !(await Category.exists({ id }))) {
+    throw new CategoryError(`Category "${id}" does not exist`, 400, [{ param: 'category', message: 'Unknown category' }]);
+  }
+};
+
+/**
+ * assertValidParent
+ * A parent must exist and must not be the category itself or one of its descendants
+ */
+export const assertValidParent = async (categoryId, parentId) => {
+  if (!parentId) return;
+  if (parentId === categoryId) {
+    throw new CategoryError('A category cannot be its own parent');
+  }
+
+  const { categories } = await loadHierarchy();
+  const byId = new Map(categories.map(category => [category.id, category]));
+  if (!byId.has(parentId)) {
+    throw new CategoryError(`Parent category "${parentId}" does not exist`);
+  }
+
+  for (let current = byId.get(parentId); current; current = byId.get(current.parent)) {
+    if (current.id === categoryId) {
+      throw new CategoryError('A category cannot be moved under one of its own subcategories');
+    }
+  }
+};
+
+/**
+ * withDescendants
+ * The given category IDs plus every subcategory below them, so filtering by
+ * "signs" also returns products filed under "signs › welcome-signs"
+ */
+export const withDescendants = async (ids) => {
+  const { children } = await loadHierarchy();
+  const result = new Set(ids);
+  const queue = [...ids];
+  while (queue.length > 0) {
+    for (const child of children.get(queue.shift()) || []) {
+      if (!result.has(child.id)) {
+        result.add(child.id);
+        queue.push(child.id);
+      }
+    }
+  }
+  return [...result];
+};
+
+/**
+ * categoryTree
+ * Nested categories with `productCount` (filed directly under the category) and
+ * `totalProductCount` (including subcategories). Only active products are counted.
+ */
+export const categoryTree = async ({ includeInactive = false } = {}) => {
+  const [{ children }, counts] = await Promise.all([
+    loadHierarchy(includeInactive ? {} : { active: true }),
+    Product.aggregate([
+      { $match: { active: true } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ])
+  ]);
+  const countByCategory = new Map(counts.map(entry => [entry._id, entry.count]));
+
+  const build = (parentId, path) => (children.get(parentId) || []).map(category => {
+    const nodePath = [...path, category.name];
+    const subcategories = build(category.id, nodePath);
+    const productCount = countByCategory.get(category.id) || 0;
+    return {
+      ...category,
+      path: nodePath,
+      productCount,
+      totalProductCount: productCount + subcategories.reduce((sum, child) => sum + child.totalProductCount, 0),
+      children: subcategories
+    };
+  });
+
+  return build(null, []);
+};
+
+/**
+ * removeCategory
+ * Deletes a category without leaving products behind:
+ * - products must be moved with `reassignTo` (another category ID), or
+ * - `archive` keeps the category but deactivates it and its products
+ * Subcategories move up to the removed category's parent.
+ */
+export const removeCategory = async (category, { reassignTo, archive = false } = {}) => {
+  const productCount = await Product.countDocuments({ category: category.id });
+
+  if (archive) {
+    category.active = false;
+    await category.save();
+    const result = await Product.updateMany({ category: category.id }, { $set: { active: false } });
+    return { archived: true, productsArchived: result.modifiedCount };
+  }
+
+  if (reassignTo) {
+    if (reassignTo === category.id) {
+      throw new CategoryError('Cannot reassign products to the category being deleted');
+    }
+    await assertCategoryExists(reassignTo);
+  } else if (productCount > 0) {
+    throw new CategoryError(
+      `${productCount} product(s) use this category. Pass reassignTo=<category id> to move them or archive=true to archive them.`,
+      409,
+      [{ productCount }]
+    );
+  }
+
+  const reassigned = reassignTo
+    ? (await Product.updateMany({ category: category.id }, { $set: { category: reassignTo } })).modifiedCount
+    : 0;
+
+  await Category.updateMany({ parent: category.id }, { $set: { parent: category.parent || null } });
+  await Category.deleteOne({ _id: category._id });
+
+  return { deleted: true, productsReassigned: reassigned };
+};
+
+const assertIdList = (ids, param) => {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string' || !id)) {
+    throw new CategoryError(`${param} must be a non-empty array of IDs`);
+  }
+  if (new Set(ids).size !== ids.length) {
+    throw new CategoryError(`${param} contains duplicates`);
+  }
+};
+
+// Transactions need a replica set (MongoDB Atlas, DigitalOcean); a standalone development
+// server refuses them, and then the work runs without one
+const isTransactionUnsupported = (error) =>
+  error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    return await session.withTransaction(() => work(session));
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Listed IDs first, in the given order, then the rest of `current` in its existing order
+const listedFirst = (listedIds, currentIds) => {
+  const listed = new Set(listedIds);
+  return [...listedIds, ...currentIds.filter(id => !listed.has(id))];
+};
+
+/**
+ * reorderCategories
+ * Stores the drag-and-drop order. Categories are ordered among their siblings (same parent):
+ * listed ones come first, in the given order; siblings left out keep their relative order
+ * after them. Reads and writes run in one transaction.
+ */
+export const reorderCategories = async (ids) => {
+  assertIdList(ids, 'ids');
+
+  await inTransaction(async (session) => {
+    const found = await Category.find({ id: { $in: ids } }, { id: 1, parent: 1 }).session(session).lean();
+    const parentOf = new Map(found.map(category => [category.id, category.parent || null]));
+    const unknown = ids.filter(id => !parentOf.has(id));
+    if (unknown.length > 0) {
+      throw new CategoryError('Unknown categories', 400, unknown.map(id => ({ id, message: 'Category not found' })));
+    }
+
+    const parents = [...new Set(parentOf.values())];
+    const siblings = await Category.find({ parent: { $in: parents } }, { id: 1, parent: 1 })
+      .sort({ order: 1, name: 1 })
+      .session(session)
+      .lean();
+
+    const updates = parents.flatMap((parent) => {
+      const current = siblings.filter(category => (category.parent || null) === parent).map(category => category.id);
+      const ordered = listedFirst(ids.filter(id => parentOf.get(id) === parent), current);
+      return ordered.map((id, index) => ({ updateOne: { filter: { id }, update: { $set: { order: index } } } }));
+    });
+
+    await Category.bulkWrite(updates, { session });
+  });
+};
+
+/**
+ * reorderCategoryProducts
+ * Stores the order of products within a category. Listed products come first, in the
+ * given order; products left out keep their relative order after them. Reads and writes
+ * run in one transaction.
+ */
+export const reorderCategoryProducts = async (categoryId, productIds) => {
+  assertIdList(productIds, 'ids');
+
+  await inTransaction(async (session) => {
+    const products = await Product.find({ category: categoryId }, { _id: 1 })
+      .sort({ position: 1, _id: 1 })
+      .session(session)
+      .lean();
+    const current = products.map(product => String(product._id));
+    const inCategory = new Set(current);
+    const foreign = productIds.filter(id => !inCategory.has(id));
+    if (foreign.length > 0) {
+      throw new CategoryError('Some products are not in this category', 400,
+        foreign.map(id => ({ id, message: 'Product not found in category' })));
+    }
+
+    await Product.bulkWrite(listedFirst(productIds, current).map((id, index) => ({
+      updateOne: { filter: { _id: id, category: categoryId }, update: { $set: { position: index } } }
+    })), { session });
+  });
+};
+
+export default {
+  CategoryError,
+  assertCategoryExists,
+  assertValidParent,
+  withDescendants,
+  categoryTree,
+  removeCategory,
+  reorderCategories,
+  reorderCategoryProducts
+};
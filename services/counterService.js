@@ -0,0 +1,113 @@
+import Counter from '../models/Counter.js';
+import { escapeRegex } from '../utils/regex.js';
+
+// How many fresh IDs saveWithSequenceId tries before giving up
+const SAVE_ATTEMPTS = 3;
+
+// Prefix and zero-padding per sequence, configurable through the environment
+export const SEQUENCES = {
+  order: {
+    prefix: process.env.ORDER_ID_PREFIX || 'ORD-',
+    padding: parseInt(process.env.ORDER_ID_PADDING, 10) || 3
+  },
+  customer: {
+    prefix: process.env.CUSTOMER_ID_PREFIX || 'CUST-',
+    padding: parseInt(process.env.CUSTOMER_ID_PADDING, 10) || 3
+  }
+};
+
+/**
+ * nextSequence
+ * Atomically increments and returns the named counter (creating it at 1).
+ * Numbers are never reused, even after documents are deleted.
+ */
+export const nextSequence = async (name) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+export const formatSequence = (name, value) => {
+  const { prefix, padding } = SEQUENCES[name];
+  return `${prefix}${String(value).padStart(padding, '0')}`;
+};
+
+/**
+ * nextId
+ * Returns the next formatted ID for a configured sequence, e.g. nextId('order') -> "ORD-042"
+ */
+export const nextId = async (name) => {
+  if (!SEQUENCES[name]) {
+    throw new Error(`Unknown sequence: ${name}`);
+  }
+  return formatSequence(name, await nextSequence(name));
+};
+
+/**
+ * ensureSequenceAtLeast
+ * Raises a counter to `value` if it is currently lower (never lowers it).
+ */
+export const ensureSequenceAtLeast = async (name, value) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $max: { seq: value } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+/**
+ * highestExistingId
+ * Highest number already used in `field` for a sequence's prefix (0 when there are none)
+ */
+export const highestExistingId = async (name, model, field) => {
+  const { prefix } = SEQUENCES[name];
+  const pattern = new RegExp(`^${escapeRegex(prefix)}(\\d+)$`);
+  const docs = await model.find({ [field]: { $regex: pattern } }, { [field]: 1 }).lean();
+
+  return docs.reduce((max, doc) => {
+    const value = parseInt(doc[field].match(pattern)[1], 10);
+    return value > max ? value : max;
+  }, 0);
+};
+
+/**
+ * syncSequenceWithExisting
+ * Raises a counter past the highest ID already stored, so it never hands out a used one
+ */
+export const syncSequenceWithExisting = async (name, model, field) =>
+  ensureSequenceAtLeast(name, await highestExistingId(name, model, field));
+
+/**
+ * saveWithSequenceId
+ * Saves a document whose `field` holds an ID from the `name` sequence. If that ID is already
+ * taken (the counter is behind the stored IDs, e.g. seed-counters was never run), the counter
+ * is raised past the existing IDs and the save is retried with a fresh one.
+ */
+export const saveWithSequenceId = async (doc, name, field) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await doc.save();
+    } catch (error) {
+      const duplicateId = error.code === 11000 && error.keyPattern && error.keyPattern[field];
+      if (!duplicateId || attempt >= SAVE_ATTEMPTS) throw error;
+
+      await syncSequenceWithExisting(name, doc.constructor, field);
+      doc[field] = await nextId(name);
+    }
+  }
+};
+
+export default {
+  SEQUENCES,
+  nextSequence,
+  formatSequence,
+  nextId,
+  ensureSequenceAtLeast,
+  highestExistingId,
+  syncSequenceWithExisting,
+  saveWithSequenceId
+};
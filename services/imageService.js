@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { putObject } from './storageService.js';
+
+// Variant name -> longest side in pixels (smaller images are not enlarged)
+export const IMAGE_VARIANTS = {
+  thumbnail: 200,
+  card: 600,
+  full: 1600
+};
+
+// Formats accepted as input, judged from the content rather than the client-sent type.
+// SVG (which sharp could read) is refused: it can carry scripts.
+const INPUT_FORMATS = ['jpeg', 'png', 'gif', 'webp', 'avif', 'tiff', 'heif'];
+// Formats kept for the non-WebP copy; anything else (TIFF, HEIF, ...) becomes JPEG
+const KEPT_FORMATS = ['jpeg', 'png', 'gif', 'webp', 'avif'];
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', gif: 'gif', webp: 'webp', avif: 'avif' };
+
+export class ImageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ImageError';
+    this.status = status;
+  }
+}
+
+/**
+ * generateVariants
+ * Resizes an image buffer to every IMAGE_VARIANTS size, in WebP and in the original format.
+ * EXIF orientation is applied first; the output carries no metadata (EXIF, GPS, ...).
+ */
+export const generateVariants = async (input) => {
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (error) {
+    throw new ImageError('File is not a supported image');
+  }
+  if (!INPUT_FORMATS.includes(metadata.format)) {
+    throw new ImageError(`Unsupported image format "${metadata.format}". Upload a JPEG, PNG, WebP, GIF, AVIF, TIFF or HEIC image.`, 415);
+  }
+  const format = KEPT_FORMATS.includes(metadata.format) ? metadata.format : 'jpeg';
+
+  const outputs = {};
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+    const resized = sharp(input)
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+    const original = await resized.clone().toFormat(format).toBuffer({ resolveWithObject: true });
+    const webp = format === 'webp' ? original : await resized.clone().webp().toBuffer({ resolveWithObject: true });
+
+    outputs[name] = {
+      width: original.info.width,
+      height: original.info.height,
+      format,
+      original: original.data,
+      webp: webp.data
+    };
+  }
+  return outputs;
+};
+
+/**
+ * storeImage
+ * Stores the variants of an image under `folder/<content hash>/` and returns
+ * `{ url, variants }`: `url` is the full-size variant in the original format, `variants`
+ * maps thumbnail/card/full to `{ width, height, format, url, webp }`.
+ * The same image always lands on the same keys, so re-running a backfill overwrites.
+ */
+export const storeImage = async (buffer, folder) => {
+  const outputs = await generateVariants(buffer);
+  const id = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+
+  const variants = {};
+  for (const [name, output] of Object.entries(outputs)) {
+    const { url } = await putObject({
+      key: `${folder}/${id}/${name}.${EXTENSIONS[output.format]}`,
+      body: output.original,
+      contentType: `image/${output.format}`
+    });
+    const webp = output.format === 'webp'
+      ? url
+      : (await putObject({ key: `${folder}/${id}/${name}.webp`, body: output.webp, contentType: 'image/webp' })).url;
+
+    variants[name] = { width: output.width, height: output.height, format: output.format, url, webp };
+  }
+
+  return { url: variants.full.url, variants };
+};
+
+/**
+ * storeImageUpload
+ * Stores an uploaded (multer memory-storage) image as variants. Only the re-encoded variants
+ * are stored, never the uploaded bytes.
+ */
+export const storeImageUpload = (file, folder) => storeImage(file.buffer, folder);
+
+const parseJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * mergeImageVariants
+ * Product imageVariants after an update: entries sent in the request (`incoming`, an array
+ * of `{ source, thumbnail, card, full }`, possibly JSON-encoded) replace stored ones with the
+ * same source, and entries whose source is no longer one of `images` are dropped.
+ */
+export const mergeImageVariants = (current = [], incoming, images = []) => {
+  const bySource = new Map(current.map(entry => [entry.source, entry]));
+  const parsed = parseJson(incoming);
+  if (Array.isArray(parsed)) {
+    parsed.filter(entry => entry && entry.source).forEach(entry => bySource.set(entry.source, entry));
+  }
+  return images.filter(url => bySource.has(url)).map(url => bySource.get(url));
+};
+
+/**
+ * categoryImageVariants
+ * Category imageVariants after an update: the sent value when it matches the image,
+ * otherwise the stored one as long as the image did not change
+ */
+export const categoryImageVariants = (current, incoming, image) => {
+  const parsed = parseJson(incoming);
+  if (parsed && parsed.source === image) return parsed;
+  return current && current.source === image ? current : null;
+};
+
+export default {
+  IMAGE_VARIANTS,
+  ImageError,
+  generateVariants,
+  storeImage,
+  storeImageUpload,
+  mergeImageVariants,
+  categoryImageVariants
+};
@@ -0,0 +1,227 @@
+import Product from '../models/Product.js';
+import Checkout from '../models/Checkout.js';
+import Order from '../models/Order.js';
+
+// How long stock stays held for a PaymentIntent that has not succeeded yet
+const RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES, 10) || 15;
+
+export class InventoryError extends Error {
+  constructor(message, status = 409, details = []) {
+    super(message);
+    this.name = 'InventoryError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Collapse cart lines into one entry per product/size so two lines of the same
+ * variant are checked against the stock together.
+ * Lines with a selectedSize draw from features[].quantity, the rest from the root `stock`.
+ */
+const groupLines = (items) => {
+  const lines = new Map();
+  for (const item of items) {
+    const size = item.selectedSize || null;
+    const key = `${item.productId}:${size || ''}`;
+    const line = lines.get(key) || { productId: item.productId, size, quantity: 0, name: item.name };
+    line.quantity += Number(item.quantity) || 1;
+    lines.set(key, line);
+  }
+  return [...lines.values()];
+};
+
+// Untracked products (trackInventory false) never match, so their stock is left alone
+const updateLine = (line, delta, { guard = true } = {}) => {
+  if (line.size) {
+    const filter = guard && delta < 0
+      ? { _id: line.productId, trackInventory: true, features: { $elemMatch: { size: line.size, quantity: { $gte: -delta } } } }
+      : { _id: line.productId, trackInventory: true, 'features.size': line.size };
+    return Product.updateOne(filter, { $inc: { 'features.$.quantity': delta } });
+  }
+
+  const filter = guard && delta < 0
+    ? { _id: line.productId, trackInventory: true, stock: { $gte: -delta } }
+    : { _id: line.productId, trackInventory: true };
+  return Product.updateOne(filter, { $inc: { stock: delta } });
+};
+
+const isUntracked = (line) => Product.exists({ _id: line.productId, trackInventory: { $ne: true } });
+
+/**
+ * decrementStock
+ * Atomically takes stock for every line. Each update only matches when enough stock is left,
+ * so concurrent checkouts cannot oversell; if any line fails, lines already taken are put back
+ * and an InventoryError (409) lists what is short.
+ */
+export const decrementStock = async (items) => {
+  const taken = [];
+  const shortages = [];
+
+  for (const line of groupLines(items)) {
+    const result = await updateLine(line, -line.quantity);
+    if (result.modifiedCount === 1) {
+      taken.push(line);
+    } else if (!(await isUntracked(line))) {
+      shortages.push({
+        productId: String(line.productId),
+        selectedSize: line.size || undefined,
+        requested: line.quantity,
+        message: `Not enough stock for "${line.name}"${line.size ? ` (${line.size})` : ''}`
+      });
+    }
+  }
+
+  if (shortages.length > 0) {
+    await Promise.all(taken.map(line => updateLine(line, line.quantity)));
+    throw new InventoryError('Some items are out of stock', 409, shortages);
+  }
+};
+
+/**
+ * forceDecrementStock
+ * Takes stock without the availability guard. Only used once a payment has been captured,
+ * where refusing is no longer an option; stock may go negative and shows up as oversold.
+ */
+export const forceDecrementStock = async (items) => {
+  for (const line of groupLines(items)) {
+    await updateLine(line, -line.quantity, { guard: false });
+  }
+};
+
+/**
+ * restoreStock
+ * Puts stock back for every line (cancelled orders, expired reservations).
+ */
+export const restoreStock = async (items) => {
+  for (const line of groupLines(items)) {
+    await updateLine(line, line.quantity);
+  }
+};
+
+export const reservationExpiry = () => new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000);
+
+/**
+ * commitCheckoutStock
+ * Turns the reservation held for a PaymentIntent into a permanent decrement.
+ * If the reservation already expired (or there never was one), stock is taken again.
+ */
+export const commitCheckoutStock = async (paymentIntentId, items) => {
+  // Returns the document as it was before the update
+  const previous = await Checkout.findOneAndUpdate(
+    { paymentIntentId, stockStatus: { $ne: 'Committed' } },
+    { $set: { stockStatus: 'Committed', reservedUntil: null } }
+  );
+
+  if (previous && previous.stockStatus === 'Reserved') return;
+  if (!previous && await Checkout.exists({ paymentIntentId })) return;
+
+  await forceDecrementStock(items);
+};
+
+/**
+ * releaseCheckoutStock
+ * Returns the stock held for one PaymentIntent, once.
+ */
+export const releaseCheckoutStock = async (paymentIntentId) => {
+  const checkout = await Checkout.findOneAndUpdate(
+    { paymentIntentId, stockStatus: 'Reserved' },
+    { $set: { stockStatus: 'Released', reservedUntil: null } }
+  );
+  if (!checkout) return false;
+
+  await restoreStock(checkout.items);
+  return true;
+};
+
+/**
+ * releaseExpiredReservations
+ * Returns stock held by PaymentIntents that did not succeed in time. Run periodically by server.js.
+ */
+export const releaseExpiredReservations = async () => {
+  const expired = await Checkout.find(
+    { stockStatus: 'Reserved', reservedUntil: { $lt: new Date() } },
+    { paymentIntentId: 1 }
+  );
+
+  let released = 0;
+  for (const checkout of expired) {
+    if (await releaseCheckoutStock(checkout.paymentIntentId)) released += 1;
+  }
+
+  if (released > 0) {
+    console.log(`♻️  Released stock for ${released} expired checkout reservation(s)`);
+  }
+  return released;
+};
+
+/**
+ * recordSales
+ * Adds sold units to Product.salesCount (direction -1 takes them off again for cancelled orders)
+ */
+export const recordSales = async (items, direction = 1) => {
+  const sold = new Map();
+  for (const item of items) {
+    const key = String(item.productId);
+    sold.set(key, (sold.get(key) || 0) + (Number(item.quantity) || 1));
+  }
+
+  await Promise.all([...sold].map(([productId, quantity]) =>
+    Product.updateOne({ _id: productId }, { $inc: { salesCount: direction * quantity } })
+  ));
+};
+
+/**
+ * commitOrderStock
+ * Takes the stock for an order that did not go through checkout, once it is confirmed or paid,
+ * and counts its sales. At most once per order. Unless `force` is set (the order is already
+ * paid) a shortage refuses the commit with an InventoryError.
+ */
+export const commitOrderStock = async (order, { force = false } = {}) => {
+  const result = await Order.updateOne(
+    { _id: order._id, stockCommitted: false },
+    { $set: { stockCommitted: true } }
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  try {
+    await (force ? forceDecrementStock(order.items) : decrementStock(order.items));
+  } catch (error) {
+    await Order.updateOne({ _id: order._id }, { $set: { stockCommitted: false } });
+    throw error;
+  }
+  await recordSales(order.items);
+  order.stockCommitted = true;
+  return true;
+};
+
+/**
+ * restoreOrderStock
+ * Puts back the stock taken by an order (e.g. when it is cancelled), at most once.
+ */
+export const restoreOrderStock = async (order) => {
+  const result = await Order.updateOne(
+    { _id: order._id, stockCommitted: true },
+    { $set: { stockCommitted: false } }
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  await restoreStock(order.items);
+  await recordSales(order.items, -1);
+  order.stockCommitted = false;
+  return true;
+};
+
+export default {
+  decrementStock,
+  forceDecrementStock,
+  restoreStock,
+  reservationExpiry,
+  commitCheckoutStock,
+  releaseCheckoutStock,
+  releaseExpiredReservations,
+  recordSales,
+  commitOrderStock,
+  restoreOrderStock,
+  InventoryError
+};
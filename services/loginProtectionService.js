@@ -0,0 +1,132 @@
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import { getThrottleStore } from './throttleStore.js';
+
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20;
+const IP_WINDOW_MS = (parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+const ACCOUNT_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOCKOUT_BASE_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60) * 1000;
+const LOCKOUT_MAX_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 60) * 60 * 1000;
+// Consecutive failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const RESET_IP_MAX_REQUESTS = parseInt(process.env.PASSWORD_RESET_IP_MAX_REQUESTS, 10) || 10;
+const RESET_EMAIL_MAX_REQUESTS = parseInt(process.env.PASSWORD_RESET_EMAIL_MAX_REQUESTS, 10) || 3;
+const RESET_WINDOW_MS = (parseInt(process.env.PASSWORD_RESET_WINDOW_MINUTES, 10) || 60) * 60 * 1000;
+
+const ipKey = (ip) => `login:ip:${ip}`;
+const emailKey = (email) => `login:email:${email}`;
+const resetIpKey = (ip) => `reset:ip:${ip}`;
+const resetEmailKey = (email) => `reset:email:${email}`;
+
+/**
+ * lockoutDuration
+ * Exponential backoff once an account reaches the failure limit:
+ * base, 2x base, 4x base, ... capped at LOGIN_LOCKOUT_MAX_MINUTES.
+ */
+export const lockoutDuration = (failures) => {
+  if (failures < ACCOUNT_MAX_FAILURES) return 0;
+  return Math.min(LOCKOUT_BASE_MS * 2 ** (failures - ACCOUNT_MAX_FAILURES), LOCKOUT_MAX_MS);
+};
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+/**
+ * loginRetryAfter
+ * Seconds the caller has to wait before another attempt (0 when allowed).
+ * Unknown emails are throttled in the store exactly like real accounts,
+ * so the response never reveals whether an account exists.
+ */
+export const loginRetryAfter = async (ip, email, user) => {
+  const store = getThrottleStore();
+
+  const ipEntry = await store.get(ipKey(ip));
+  if (ipEntry && ipEntry.count >= IP_MAX_FAILURES) {
+    return secondsUntil(ipEntry.firstAt + IP_WINDOW_MS);
+  }
+
+  if (user) {
+    return user.lockUntil && user.lockUntil > new Date() ? secondsUntil(user.lockUntil.getTime()) : 0;
+  }
+
+  const emailEntry = await store.get(emailKey(email));
+  if (emailEntry) {
+    const lockedUntil = emailEntry.lastAt + lockoutDuration(emailEntry.count);
+    if (lockedUntil > Date.now()) return secondsUntil(lockedUntil);
+  }
+  return 0;
+};
+
+/**
+ * recordLoginFailure
+ * Counts a failed attempt against the IP and the account (on the User document,
+ * or in the store for emails without an account) and applies the lockout.
+ */
+export const recordLoginFailure = async (ip, email, user) => {
+  const store = getThrottleStore();
+  await store.hit(ipKey(ip), IP_WINDOW_MS);
+
+  if (!user) {
+    await store.hit(emailKey(email), FAILURE_WINDOW_MS);
+    return;
+  }
+
+  const now = new Date();
+  const stale = !user.lastFailedLoginAt || now - user.lastFailedLoginAt > FAILURE_WINDOW_MS;
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    stale
+      ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now } }
+      : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  ).select('failedLoginAttempts');
+
+  const duration = lockoutDuration(updated.failedLoginAttempts);
+  if (duration > 0) {
+    await User.updateOne({ _id: user._id }, { $set: { lockUntil: new Date(now.getTime() + duration) } });
+    console.warn(`🔒 Account ${user._id} locked for ${Math.round(duration / 1000)}s after ${updated.failedLoginAttempts} failed logins`);
+  }
+};
+
+/**
+ * recordLoginSuccess
+ * Clears the account's failure count and lock
+ */
+export const recordLoginSuccess = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil) return;
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockUntil: null } }
+  );
+};
+
+/**
+ * allowPasswordResetRequest
+ * Counts a password reset request against the IP and the email and tells whether it may
+ * send mail. Callers answer the same way either way, so the limit reveals nothing.
+ */
+export const allowPasswordResetRequest = async (ip, email) => {
+  const store = getThrottleStore();
+  const [byIp, byEmail] = await Promise.all([
+    store.hit(resetIpKey(ip), RESET_WINDOW_MS),
+    store.hit(resetEmailKey(email), RESET_WINDOW_MS)
+  ]);
+  return byIp.count <= RESET_IP_MAX_REQUESTS && byEmail.count <= RESET_EMAIL_MAX_REQUESTS;
+};
+
+// Hash used to spend the same bcrypt time when the account does not exist
+let dummyHash = null;
+export const comparePasswordSafely = async (user, password) => {
+  if (user) return user.comparePassword(password);
+  if (!dummyHash) dummyHash = await bcrypt.hash('not-a-real-password', 10);
+  await bcrypt.compare(password, dummyHash);
+  return false;
+};
+
+export default {
+  lockoutDuration,
+  loginRetryAfter,
+  recordLoginFailure,
+  recordLoginSuccess,
+  allowPasswordResetRequest,
+  comparePasswordSafely
+};
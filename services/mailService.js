@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Outgoing mail goes through one of the registered transports, picked with MAIL_TRANSPORT:
+// - console (default outside production): prints the message, handy while developing.
+//   It prints reset and invitation links, so production refuses it.
+// - file: writes each message as JSON into MAIL_FILE_DIR (default ./mail-outbox)
+// - smtp: sends through nodemailer using SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+// Other transports can be added with registerTransport(name, send).
+const transports = new Map();
+
+export const registerTransport = (name, send) => {
+  transports.set(name, send);
+};
+
+registerTransport('console', async (message) => {
+  console.log('📧 Mail (console transport)');
+  console.log(`   To: ${message.to}`);
+  console.log(`   Subject: ${message.subject}`);
+  console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+});
+
+registerTransport('file', async (message) => {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '../mail-outbox'));
+  await fs.promises.mkdir(dir, { recursive: true });
+  const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+  const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+  await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+  console.log(`📧 Mail written to ${file}`);
+});
+
+let smtpTransporter = null;
+registerTransport('smtp', async (message) => {
+  if (!smtpTransporter) {
+    const { default: nodemailer } = await import('nodemailer');
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  await smtpTransporter.sendMail(message);
+});
+
+/**
+ * mailTransportName
+ * MAIL_TRANSPORT, defaulting to console outside production. Throws when production has no
+ * transport configured or uses the console one; server.js checks this at startup.
+ */
+export const mailTransportName = () => {
+  const production = process.env.NODE_ENV === 'production';
+  const name = process.env.MAIL_TRANSPORT || (production ? '' : 'console');
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set in production (smtp, file or a registered transport)');
+  }
+  if (production && name === 'console') {
+    throw new Error('MAIL_TRANSPORT=console would print password reset and invitation links to the production logs');
+  }
+  if (!transports.has(name)) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+  return name;
+};
+
+/**
+ * sendMail
+ * Sends `{ to, subject, text, html? }` through the configured transport.
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const send = transports.get(mailTransportName());
+
+  await send({
+    from: process.env.MAIL_FROM || 'Crafting Sign <no-reply@craftingsign.com>',
+    to,
+    subject,
+    text,
+    ...(html ? { html } : {}),
+  });
+};
+
+export default { registerTransport, mailTransportName, sendMail };
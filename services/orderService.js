@@ -0,0 +1,155 @@
+import Order from '../models/Order.js';
+import Customer from '../models/Customer.js';
+import Checkout from '../models/Checkout.js';
+import { commitCheckoutStock, recordSales } from './inventoryService.js';
+import { nextId, saveWithSequenceId } from './counterService.js';
+
+/**
+ * generateOrderId
+ * Builds the next human-readable order ID (ORD-001, ORD-002, ...) from the atomic order counter
+ */
+export const generateOrderId = () => nextId('order');
+
+const isDuplicateKey = (error, field) =>
+  error && error.code === 11000 && error.keyPattern && error.keyPattern[field];
+
+/**
+ * recordCustomerOrder
+ * Creates the customer on first purchase or rolls the order into their running totals.
+ * Totals are updated atomically; when two orders create the same customer at once, the
+ * second one is rolled into the customer the first one created.
+ */
+export const recordCustomerOrder = async (customer, total, paymentStatus = 'Pending') => {
+  const email = customer.email.toLowerCase().trim();
+  const details = {
+    ...(customer.name && { customerName: customer.name }),
+    ...(customer.phone && { phone: customer.phone }),
+    ...((customer.location || customer.country) && { location: customer.location || customer.country })
+  };
+
+  const existing = await Customer.findOneAndUpdate(
+    { email },
+    { $inc: { totalOrders: 1, totalSpent: total }, $set: { ...details, lastOrderDate: new Date(), paymentStatus } },
+    { new: true }
+  );
+  if (existing) return existing;
+
+  const customerDoc = new Customer({
+    customerId: await nextId('customer'),
+    customerName: customer.name,
+    email: customer.email,
+    phone: customer.phone || '',
+    location: customer.location || customer.country || '',
+    totalOrders: 1,
+    totalSpent: total,
+    lastOrderDate: new Date(),
+    paymentStatus
+  });
+
+  try {
+    await saveWithSequenceId(customerDoc, 'customer', 'customerId');
+  } catch (error) {
+    if (!isDuplicateKey(error, 'email')) throw error;
+    return recordCustomerOrder(customer, total, paymentStatus);
+  }
+  return customerDoc;
+};
+
+// Writes that follow a new paid order. They are listed in order.pendingSteps when the order
+// is saved and each one is taken off only after it succeeded, so a failure or crash after the
+// save is retried by the next finalization attempt.
+const ORDER_STEPS = {
+  stock: (order) => commitCheckoutStock(order.paymentIntentId, order.items),
+  sales: (order) => recordSales(order.items),
+  customer: (order) => recordCustomerOrder(order.customer, order.total, 'Complete')
+};
+
+// A finalization that holds the steps longer than this is assumed to have crashed
+const STEPS_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * completeOrderSteps
+ * Runs the order's pending follow-up writes. The caller first takes a lease on the order
+ * (stepsClaimedAt), so the webhook and /confirm never run them side by side; when another
+ * caller holds it, this returns and leaves the steps to it.
+ */
+export const completeOrderSteps = async (order) => {
+  if (!order.pendingSteps || order.pendingSteps.length === 0) return;
+
+  const claimedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      'pendingSteps.0': { $exists: true },
+      $or: [{ stepsClaimedAt: null }, { stepsClaimedAt: { $lt: new Date(claimedAt - STEPS_LEASE_MS) } }]
+    },
+    { $set: { stepsClaimedAt: claimedAt } },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  try {
+    for (const step of claimed.pendingSteps) {
+      await ORDER_STEPS[step](order);
+      await Order.updateOne({ _id: order._id, stepsClaimedAt: claimedAt }, { $pull: { pendingSteps: step } });
+    }
+    order.pendingSteps = [];
+  } finally {
+    await Order.updateOne({ _id: order._id, stepsClaimedAt: claimedAt }, { $set: { stepsClaimedAt: null } });
+  }
+};
+
+/**
+ * finalizePaidOrder
+ * Creates the order for a succeeded PaymentIntent exactly once.
+ * Both POST /api/payments/confirm and the Stripe webhook call this; whichever arrives
+ * second gets the existing order back with `created: false`, and finishes any follow-up
+ * writes (stock, sales, customer totals) the first one did not get to.
+ */
+export const finalizePaidOrder = async ({ paymentIntentId, customer, items, total, notes = '', user = null }) => {
+  let order = await Order.findOne({ paymentIntentId });
+  let created = false;
+
+  if (!order) {
+    order = new Order({
+      orderId: await generateOrderId(),
+      customer: {
+        name: customer.name,
+        email: customer.email,
+        phone: customer.phone,
+        address: customer.address,
+        city: customer.city || '',
+        country: customer.country || '',
+      },
+      user,
+      items,
+      total,
+      status: 'Processing', // Order confirmed after payment
+      paymentStatus: 'Complete',
+      notes,
+      paymentIntentId,
+      stockCommitted: true,
+      pendingSteps: Object.keys(ORDER_STEPS),
+    });
+
+    try {
+      await saveWithSequenceId(order, 'order', 'orderId');
+      created = true;
+    } catch (error) {
+      if (!isDuplicateKey(error, 'paymentIntentId')) throw error;
+      // Lost the race against the other finalization path
+      order = await Order.findOne({ paymentIntentId });
+    }
+  }
+
+  await completeOrderSteps(order);
+
+  await Checkout.updateOne(
+    { paymentIntentId },
+    { $set: { status: 'Succeeded', order: order._id, lastError: '' } }
+  );
+
+  return { order, created };
+};
+
+export default { generateOrderId, recordCustomerOrder, completeOrderSteps, finalizePaidOrder };
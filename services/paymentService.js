@@ -0,0 +1,140 @@
+import Order from '../models/Order.js';
+import Checkout from '../models/Checkout.js';
+import { finalizePaidOrder } from './orderService.js';
+import stripe from '../config/stripe.js';
+import { syncRefunds } from './refundService.js';
+import { releaseCheckoutStock } from './inventoryService.js';
+import { toMinorUnits } from './pricingService.js';
+
+const REQUIRED_CUSTOMER_FIELDS = ['name', 'email', 'phone', 'address'];
+
+/**
+ * Combine the customer details captured at checkout with what Stripe collected
+ * (shipping details / receipt email), preferring the checkout copy.
+ */
+const resolveCustomer = (checkout, paymentIntent) => {
+  const saved = (checkout.customer && checkout.customer.toObject) ? checkout.customer.toObject() : (checkout.customer || {});
+  const shipping = paymentIntent.shipping || {};
+  const address = shipping.address || {};
+
+  return {
+    name: saved.name || shipping.name,
+    email: saved.email || paymentIntent.receipt_email,
+    phone: saved.phone || shipping.phone,
+    address: saved.address || [address.line1, address.line2].filter(Boolean).join(', '),
+    city: saved.city || address.city || '',
+    country: saved.country || address.country || '',
+  };
+};
+
+/**
+ * flagChargeMismatch
+ * Checks that Stripe charged exactly the checkout total, in the checkout currency.
+ * A mismatch is stored on the checkout (status Succeeded, no order) for an admin to
+ * follow up and returned as a message; null when the charge matches.
+ */
+export const flagChargeMismatch = async (checkout, paymentIntent) => {
+  const expected = toMinorUnits(checkout.total);
+  const currency = String(paymentIntent.currency || '').toLowerCase();
+  if (paymentIntent.amount === expected && currency === checkout.currency) return null;
+
+  const message = `Charged ${paymentIntent.amount} ${currency}, checkout total is ${expected} ${checkout.currency}`;
+  await Checkout.updateOne(
+    { _id: checkout._id, order: null },
+    { $set: { status: 'Succeeded', lastError: message } }
+  );
+  console.error(`❌ Payment ${paymentIntent.id} does not match its checkout: ${message}`);
+  return message;
+};
+
+const handlePaymentSucceeded = async (paymentIntent) => {
+  const checkout = await Checkout.findOne({ paymentIntentId: paymentIntent.id });
+  if (!checkout) {
+    console.warn(`⚠️  Webhook: no checkout stored for ${paymentIntent.id}, skipping`);
+    return;
+  }
+  if (await flagChargeMismatch(checkout, paymentIntent)) return;
+
+  const customer = resolveCustomer(checkout, paymentIntent);
+  const missing = REQUIRED_CUSTOMER_FIELDS.filter(field => !customer[field]);
+  if (missing.length > 0) {
+    // Paid but we cannot build a valid order; leave it flagged for an admin to follow up
+    checkout.status = 'Succeeded';
+    checkout.lastError = `Missing customer details: ${missing.join(', ')}`;
+    await checkout.save();
+    console.error(`❌ Webhook: payment ${paymentIntent.id} succeeded but order could not be created (${checkout.lastError})`);
+    return;
+  }
+
+  const { order, created } = await finalizePaidOrder({
+    paymentIntentId: paymentIntent.id,
+    customer,
+    items: checkout.items,
+    total: checkout.total,
+    user: checkout.user,
+    notes: checkout.shippingMethod ? `Shipping: ${checkout.shippingMethod}` : '',
+  });
+
+  console.log(`✅ Webhook: ${created ? 'created' : 'already had'} order ${order.orderId} for ${paymentIntent.id}`);
+};
+
+const handlePaymentFailed = async (paymentIntent) => {
+  const message = paymentIntent.last_payment_error ? paymentIntent.last_payment_error.message : 'Payment failed';
+
+  await Checkout.updateOne(
+    { paymentIntentId: paymentIntent.id, status: 'Pending' },
+    { $set: { status: 'Failed', lastError: message } }
+  );
+
+  console.log(`⚠️  Webhook: payment ${paymentIntent.id} failed: ${message}`);
+};
+
+const handlePaymentCanceled = async (paymentIntent) => {
+  // A failed attempt can still be retried, but a canceled intent is final
+  if (await releaseCheckoutStock(paymentIntent.id)) {
+    console.log(`♻️  Webhook: released reserved stock for canceled payment ${paymentIntent.id}`);
+  }
+};
+
+const handleChargeRefunded = async (charge) => {
+  const paymentIntentId = typeof charge.payment_intent === 'string' ? charge.payment_intent : charge.payment_intent?.id;
+  const order = paymentIntentId ? await Order.findOne({ paymentIntentId }) : null;
+  if (!order) {
+    console.warn(`⚠️  Webhook: no order for refunded charge ${charge.id}, skipping`);
+    return;
+  }
+
+  // Refunds are recorded by Stripe refund ID, so redelivered events and refunds
+  // already recorded by POST /api/orders/:id/refunds are skipped
+  const embedded = charge.refunds && Array.isArray(charge.refunds.data) && !charge.refunds.has_more;
+  const refunds = embedded
+    ? charge.refunds.data
+    : (await stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 })).data;
+
+  const recorded = await syncRefunds(order, refunds);
+  if (recorded > 0) {
+    console.log(`✅ Webhook: recorded ${recorded} refund(s) on order ${order.orderId}`);
+  }
+};
+
+const handlers = {
+  'payment_intent.succeeded': (event) => handlePaymentSucceeded(event.data.object),
+  'payment_intent.payment_failed': (event) => handlePaymentFailed(event.data.object),
+  'payment_intent.canceled': (event) => handlePaymentCanceled(event.data.object),
+  'charge.refunded': (event) => handleChargeRefunded(event.data.object),
+};
+
+/**
+ * handleStripeEvent
+ * Dispatches a verified Stripe event. Every handler is safe to run more than once
+ * because Stripe may redeliver events and /confirm can race the webhook.
+ * Returns false for event types we do not handle.
+ */
+export const handleStripeEvent = async (event) => {
+  const handler = handlers[event.type];
+  if (!handler) return false;
+  await handler(event);
+  return true;
+};
+
+export default { flagChargeMismatch, handleStripeEvent };
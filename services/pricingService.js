@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+
+// How to handle a cart whose client-supplied prices/total disagree with the catalog:
+// - 'correct' (default): store the server-side prices and log the discrepancy
+// - 'reject': refuse the request with a 409 so the storefront can refresh the cart
+const MISMATCH_MODE = (process.env.PRICING_MISMATCH_MODE || 'correct').toLowerCase();
+
+// Tolerance for floating point noise in client-side totals
+const PRICE_TOLERANCE = 0.01;
+
+export class PricingError extends Error {
+  constructor(message, status = 400, details = []) {
+    super(message);
+    this.name = 'PricingError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+export const toMinorUnits = (value) => Math.round(Number(value) * 100);
+
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+/**
+ * Resolve the unit price for one cart line from the catalog.
+ * Products with size variants (features[].size) must be ordered with a matching size;
+ * a variant priced at 0 falls back to the product's root price.
+ */
+const resolveLine = (product, item, index) => {
+  const errors = [];
+  const sizedFeatures = (product.features || []).filter(f => f.size);
+  let unitPrice = product.price;
+  let selectedSize = item.selectedSize || undefined;
+  let selectedColor = item.selectedColor || undefined;
+
+  if (sizedFeatures.length > 0) {
+    if (!selectedSize) {
+      errors.push({ index, productId: String(product._id), message: `A size is required for "${product.name}"` });
+    } else {
+      const feature = sizedFeatures.find(f => sameText(f.size, selectedSize));
+      if (!feature) {
+        errors.push({ index, productId: String(product._id), message: `Size "${selectedSize}" is not available for "${product.name}"` });
+      } else {
+        selectedSize = feature.size;
+        if (Number(feature.price) > 0) unitPrice = Number(feature.price);
+      }
+    }
+  } else if (selectedSize) {
+    // Product has no size variants; ignore whatever the client sent
+    selectedSize = undefined;
+  }
+
+  if (selectedColor) {
+    const colors = product.colors || [];
+    const color = colors.find(c => sameText(c, selectedColor));
+    if (!color) {
+      errors.push({ index, productId: String(product._id), message: `Color "${selectedColor}" is not available for "${product.name}"` });
+    } else {
+      selectedColor = color;
+    }
+  }
+
+  return { errors, unitPrice: roundMoney(unitPrice), selectedSize, selectedColor };
+};
+
+/**
+ * priceCart
+ * Re-derives every line price from the Product collection and recomputes the total.
+ * Returns `{ items, total, adjustments }` where `items` are ready to be stored on an Order.
+ * Throws PricingError (400) for unknown products / invalid options.
+ */
+export const priceCart = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new PricingError('At least one item is required');
+  }
+
+  const errors = [];
+  const ids = [];
+  items.forEach((item, index) => {
+    if (!item || !mongoose.Types.ObjectId.isValid(item.productId)) {
+      errors.push({ index, message: 'Invalid product ID' });
+    } else {
+      ids.push(item.productId);
+    }
+    const quantity = Number(item?.quantity ?? 1);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push({ index, message: 'Quantity must be a positive whole number' });
+    }
+  });
+  if (errors.length > 0) {
+    throw new PricingError('Invalid cart', 400, errors);
+  }
+
+  const products = await Product.find({ _id: { $in: ids } });
+  const productsById = new Map(products.map(p => [String(p._id), p]));
+
+  const pricedItems = [];
+  const adjustments = [];
+  items.forEach((item, index) => {
+    const product = productsById.get(String(item.productId));
+    if (!product || !product.active) {
+      errors.push({ index, productId: String(item.productId), message: 'Product is no longer available' });
+      return;
+    }
+
+    const line = resolveLine(product, item, index);
+    if (line.errors.length > 0) {
+      errors.push(...line.errors);
+      return;
+    }
+
+    if (item.price !== undefined && Math.abs(Number(item.price) - line.unitPrice) > PRICE_TOLERANCE) {
+      adjustments.push({ index, productId: String(product._id), field: 'price', submitted: Number(item.price), expected: line.unitPrice });
+    }
+
+    pricedItems.push({
+      productId: product._id,
+      name: product.name,
+      price: line.unitPrice,
+      quantity: Number(item.quantity ?? 1),
+      selectedSize: line.selectedSize,
+      selectedColor: line.selectedColor,
+      customization: item.customization,
+    });
+  });
+
+  if (errors.length > 0) {
+    throw new PricingError('Invalid cart', 400, errors);
+  }
+
+  const total = roundMoney(pricedItems.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+  return { items: pricedItems, total, adjustments };
+};
+
+/**
+ * priceOrder
+ * Prices a cart and compares it against the client-submitted total.
+ * Depending on PRICING_MISMATCH_MODE, mismatches are either corrected (logged) or rejected with a 409.
+ */
+export const priceOrder = async (items, submittedTotal) => {
+  const cart = await priceCart(items);
+
+  if (submittedTotal !== undefined && submittedTotal !== null &&
+      Math.abs(Number(submittedTotal) - cart.total) > PRICE_TOLERANCE) {
+    cart.adjustments.push({ field: 'total', submitted: Number(submittedTotal), expected: cart.total });
+  }
+
+  if (cart.adjustments.length > 0) {
+    if (MISMATCH_MODE === 'reject') {
+      throw new PricingError('Cart prices have changed, please review your order', 409, cart.adjustments);
+    }
+    console.warn('⚠️  Corrected client-side pricing mismatch:', JSON.stringify(cart.adjustments));
+  }
+
+  return cart;
+};
+
+export default { priceCart, priceOrder, PricingError, roundMoney, toMinorUnits };
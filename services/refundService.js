@@ -0,0 +1,226 @@
+import Order from '../models/Order.js';
+import Customer from '../models/Customer.js';
+import stripe from '../config/stripe.js';
+import { roundMoney, toMinorUnits } from './pricingService.js';
+
+// Stripe only accepts these values for `reason`; anything else is kept on our side only
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+// Attempts at recording a refund Stripe has already made before giving up to the webhook
+const RECORD_ATTEMPTS = 3;
+
+export class RefundError extends Error {
+  constructor(message, status = 400, details = []) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export const refundableAmount = (order) => roundMoney(order.total - (order.amountRefunded || 0));
+
+/**
+ * calculateRefund
+ * Works out what to refund for a request:
+ * - `items: [{ itemId, quantity }]` refunds those order lines at the price paid
+ * - `amount` refunds an arbitrary amount (e.g. a goodwill partial refund)
+ * - neither refunds everything still refundable
+ */
+export const calculateRefund = (order, { items, amount } = {}) => {
+  const remaining = refundableAmount(order);
+  if (remaining <= 0) {
+    throw new RefundError('Order has already been fully refunded');
+  }
+
+  if (Array.isArray(items) && items.length > 0) {
+    const errors = [];
+    const seen = new Set();
+    const lines = items.map((requested, index) => {
+      // Each line is checked against what is left of it, so it may only be listed once
+      const key = String(requested.itemId);
+      if (seen.has(key)) {
+        errors.push({ index, itemId: key, message: 'Item is listed more than once' });
+        return null;
+      }
+      seen.add(key);
+
+      const item = order.items.id(requested.itemId);
+      const quantity = Number(requested.quantity ?? (item ? item.quantity - (item.refundedQuantity || 0) : 0));
+      if (!item) {
+        errors.push({ index, message: 'Item is not part of this order' });
+        return null;
+      }
+      const available = item.quantity - (item.refundedQuantity || 0);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > available) {
+        errors.push({ index, itemId: String(item._id), message: `Quantity must be between 1 and ${available}` });
+        return null;
+      }
+      return { itemId: item._id, quantity, amount: roundMoney(item.price * quantity) };
+    });
+
+    if (errors.length > 0) {
+      throw new RefundError('Invalid refund items', 400, errors);
+    }
+
+    // A previous amount-only refund can leave less money than the lines are worth
+    const total = Math.min(roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)), remaining);
+    return { amount: total, items: lines };
+  }
+
+  if (amount !== undefined && amount !== null) {
+    const value = roundMoney(amount);
+    if (!(value > 0) || value > remaining) {
+      throw new RefundError(`Refund amount must be between 0.01 and ${remaining}`);
+    }
+    return { amount: value, items: [] };
+  }
+
+  return { amount: remaining, items: [] };
+};
+
+/**
+ * recordRefund
+ * Stores a Stripe refund on the order exactly once (keyed by refund ID), updates the
+ * refunded quantities, payment status and history, and takes the amount off Customer.totalSpent.
+ * Returns the updated order, or null when the refund was already recorded.
+ */
+export const recordRefund = async (orderId, { refundId, amount, items = [], reason = '', status = 'succeeded', actor = null }) => {
+  // One update per order line: two array filters on the same item would conflict
+  const merged = new Map();
+  items.forEach(line => {
+    const key = String(line.itemId);
+    const existing = merged.get(key);
+    merged.set(key, existing
+      ? { ...existing, quantity: existing.quantity + line.quantity, amount: roundMoney(existing.amount + line.amount) }
+      : { ...line });
+  });
+  items = [...merged.values()];
+
+  const inc = { amountRefunded: amount };
+  const arrayFilters = [];
+  items.forEach((line, index) => {
+    inc[`items.$[i${index}].refundedQuantity`] = line.quantity;
+    arrayFilters.push({ [`i${index}._id`]: line.itemId });
+  });
+
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, 'refunds.refundId': { $ne: refundId } },
+    {
+      $push: { refunds: { refundId, amount, items, reason, status, actor } },
+      $inc: inc
+    },
+    { new: true, ...(arrayFilters.length > 0 ? { arrayFilters } : {}) }
+  );
+  if (!order) return null;
+
+  order.amountRefunded = roundMoney(order.amountRefunded);
+  order.paymentStatus = refundableAmount(order) <= 0 ? 'Refunded' : 'PartiallyRefunded';
+  order.recordStatusChange({ actor, note: `Refunded ${amount}${reason ? `: ${reason}` : ''}` });
+  await order.save();
+
+  await Customer.updateOne(
+    { email: order.customer.email.toLowerCase() },
+    { $inc: { totalSpent: -amount } }
+  );
+
+  return order;
+};
+
+/**
+ * issueRefund
+ * Refunds part or all of an order's PaymentIntent through Stripe and records it on the order.
+ */
+export const issueRefund = async (order, { items, amount, reason = '' } = {}, actor = null) => {
+  if (!order.paymentIntentId) {
+    throw new RefundError('Order has no Stripe payment to refund');
+  }
+  if (!['Complete', 'PartiallyRefunded'].includes(order.paymentStatus)) {
+    throw new RefundError(`Cannot refund an order with payment status ${order.paymentStatus}`);
+  }
+
+  const refund = calculateRefund(order, { items, amount });
+
+  const stripeRefund = await stripe.refunds.create({
+    payment_intent: order.paymentIntentId,
+    amount: toMinorUnits(refund.amount),
+    ...(STRIPE_REFUND_REASONS.includes(reason) ? { reason } : {}),
+    metadata: {
+      orderId: order.orderId,
+      // Lets the charge.refunded webhook record the line items if it gets here first
+      items: JSON.stringify(refund.items.map(line => [String(line.itemId), line.quantity])),
+      actor: actor ? String(actor) : '',
+      note: reason.slice(0, 500),
+    },
+  });
+
+  // The money has left at this point, so a failed write is retried; if it keeps failing the
+  // charge.refunded webhook records the refund from its metadata (syncRefunds)
+  let updated = null;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      updated = await recordRefund(order._id, {
+        refundId: stripeRefund.id,
+        amount: refund.amount,
+        items: refund.items,
+        reason,
+        status: stripeRefund.status,
+        actor,
+      });
+      break;
+    } catch (error) {
+      console.error(`❌ Recording refund ${stripeRefund.id} for order ${order.orderId} failed (attempt ${attempt}):`, error.message);
+      if (attempt >= RECORD_ATTEMPTS) {
+        throw new RefundError(
+          `Refund ${stripeRefund.id} was issued in Stripe but could not be saved on the order; the charge.refunded webhook will record it`,
+          502,
+          [{ refundId: stripeRefund.id, amount: refund.amount }]
+        );
+      }
+    }
+  }
+
+  return { refund: stripeRefund, order: updated || await Order.findById(order._id) };
+};
+
+const itemsFromMetadata = (order, metadata = {}) => {
+  try {
+    const pairs = JSON.parse(metadata.items || '[]');
+    return pairs
+      .map(([itemId, quantity]) => {
+        const item = order.items.id(itemId);
+        return item ? { itemId: item._id, quantity, amount: roundMoney(item.price * quantity) } : null;
+      })
+      .filter(Boolean);
+  } catch (e) {
+    return [];
+  }
+};
+
+/**
+ * syncRefunds
+ * Records any refunds on the order's PaymentIntent that we have not seen yet
+ * (refunds issued from the Stripe dashboard, or webhook deliveries that beat the API response).
+ */
+export const syncRefunds = async (order, refunds) => {
+  const known = new Set(order.refunds.map(refund => refund.refundId));
+  let recorded = 0;
+
+  for (const refund of refunds) {
+    if (known.has(refund.id) || !['succeeded', 'pending'].includes(refund.status)) continue;
+
+    const metadata = refund.metadata || {};
+    const result = await recordRefund(order._id, {
+      refundId: refund.id,
+      amount: roundMoney(refund.amount / 100),
+      items: itemsFromMetadata(order, metadata),
+      reason: metadata.note || refund.reason || '',
+      status: refund.status,
+      actor: metadata.actor || null,
+    });
+    if (result) recorded += 1;
+  }
+
+  return recorded;
+};
+
+export default { RefundError, refundableAmount, calculateRefund, recordRefund, issueRefund, syncRefunds };
@@ -0,0 +1,201 @@
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { escapeRegex } from '../utils/regex.js';
+
+// Words from product and category names, used to correct typos in search queries.
+// Rebuilt at most every few minutes; new products become correctable after that.
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+const MIN_TERM_LENGTH = 3;
+const SUGGEST_LIMIT = 6;
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length >= MIN_TERM_LENGTH);
+
+// Good enough for matching "numbers" to "number" and "boxes" to "box"; $text does real stemming
+const singular = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && /(ses|xes|ches|shes)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+// Optimal string alignment distance: insertions, deletions, substitutions and
+// adjacent transpositions ("tabel" -> "table" is 1)
+const editDistance = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 1; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+const maxTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+const loadVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) return vocabulary;
+
+  const [products, categories] = await Promise.all([
+    Product.find({ active: true }, { name: 1 }).lean(),
+    Category.find({ active: true }, { id: 1, name: 1 }).lean()
+  ]);
+
+  const words = new Set();
+  products.forEach(product => tokenize(product.name).forEach(word => words.add(singular(word))));
+  categories.forEach(category => tokenize(category.name).forEach(word => words.add(singular(word))));
+
+  vocabulary = {
+    words: [...words],
+    categories: categories.map(category => ({
+      id: category.id,
+      name: category.name,
+      words: tokenize(category.name).map(singular)
+    }))
+  };
+  vocabularyBuiltAt = Date.now();
+  return vocabulary;
+};
+
+const correctWord = (word, words) => {
+  if (words.includes(word)) return word;
+
+  let best = null;
+  let bestDistance = maxTypos(word) + 1;
+  for (const candidate of words) {
+    if (Math.abs(candidate.length - word.length) >= bestDistance) continue;
+    const distance = editDistance(word, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best || word;
+};
+
+/**
+ * expandSearch
+ * Turns a shopper's query into a $text search string: the original words, their typo
+ * corrections against the catalog vocabulary, and the IDs of categories whose names match
+ * (Product.category holds the category ID, which is part of the text index).
+ * Returns null when the query has no searchable words.
+ */
+export const expandSearch = async (query) => {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return null;
+
+  const { words, categories } = await loadVocabulary();
+  const corrected = tokens.map(token => correctWord(singular(token), words));
+
+  const matchingCategories = categories.filter(category =>
+    category.words.some(word => corrected.includes(word))
+  );
+
+  const terms = new Set([...tokens, ...corrected, ...matchingCategories.map(category => category.id.toLowerCase())]);
+  return {
+    search: [...terms].join(' '),
+    categories: matchingCategories.map(category => category.id)
+  };
+};
+
+/**
+ * suggest
+ * Product and category suggestions for the storefront search box: name prefix matches first,
+ * topped up with relevance-ranked (typo-tolerant) text matches.
+ */
+export const suggest = async (query) => {
+  const text = String(query || '').trim();
+  if (text.length < 2) return { products: [], categories: [] };
+
+  // Any word of the name starting with what was typed
+  const prefix = new RegExp(`(^|\\s)${escapeRegex(text)}`, 'i');
+  const fields = { name: 1, price: 1, category: 1, image: 1, imageVariants: 1 };
+
+  const [prefixProducts, prefixCategories] = await Promise.all([
+    Product.find({ active: true, name: prefix }, fields).sort({ salesCount: -1 }).limit(SUGGEST_LIMIT).lean(),
+    Category.find({ active: true, name: prefix }, { id: 1, name: 1 }).sort({ order: 1 }).limit(SUGGEST_LIMIT).lean()
+  ]);
+
+  let products = prefixProducts;
+  let categories = prefixCategories.map(category => ({ id: category.id, name: category.name }));
+
+  const expanded = products.length < SUGGEST_LIMIT || categories.length === 0 ? await expandSearch(text) : null;
+  if (expanded) {
+    if (products.length < SUGGEST_LIMIT) {
+      const seen = products.map(product => product._id);
+      const more = await Product.find(
+        { active: true, _id: { $nin: seen }, $text: { $search: expanded.search } },
+        { ...fields, score: { $meta: 'textScore' } }
+      ).sort({ score: { $meta: 'textScore' } }).limit(SUGGEST_LIMIT - products.length).lean();
+      products = [...products, ...more];
+    }
+
+    if (categories.length === 0 && expanded.categories.length > 0) {
+      const { categories: known } = await loadVocabulary();
+      categories = known
+        .filter(category => expanded.categories.includes(category.id))
+        .slice(0, SUGGEST_LIMIT)
+        .map(category => ({ id: category.id, name: category.name }));
+    }
+  }
+
+  const thumbnail = (product) => {
+    const variants = (product.imageVariants || []).find(entry => entry.source === product.image);
+    if (variants && variants.thumbnail) return variants.thumbnail.url;
+    // Skip embedded base64 images; the suggestion list has to stay small
+    return product.image && !product.image.startsWith('data:') ? product.image : '';
+  };
+
+  return {
+    products: products.map(product => ({
+      _id: product._id,
+      name: product.name,
+      price: product.price,
+      category: product.category,
+      image: thumbnail(product)
+    })),
+    categories
+  };
+};
+
+/**
+ * ensureTextIndex
+ * MongoDB allows one text index per collection and autoIndex cannot replace it, so when the
+ * stored one differs from the schema's (an older definition), it is dropped and rebuilt.
+ * Returns true when the index was (re)created.
+ */
+export const ensureTextIndex = async () => {
+  const [fields, options] = Product.schema.indexes().find(([keys]) => Object.values(keys).includes('text'));
+  const existing = (await Product.collection.indexes().catch(error => {
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  })).filter(index => index.key._fts === 'text');
+
+  const wanted = Object.keys(fields);
+  const current = existing.find(index => index.name === options.name);
+  const upToDate = current
+    && Object.keys(current.weights || {}).length === wanted.length
+    && wanted.every(field => current.weights[field] === ((options.weights || {})[field] || 1));
+  if (upToDate) return false;
+
+  for (const index of existing) {
+    await Product.collection.dropIndex(index.name);
+  }
+  await Product.collection.createIndex(fields, options);
+  return true;
+};
+
+export default { expandSearch, suggest, ensureTextIndex };
@@ -0,0 +1,318 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import s3Client, { spacesBucket, isSpacesConfigured, spacesPublicUrl } from '../config/spaces.js';
+import cloudinary, { isCloudinaryConfigured } from '../config/cloudinary.js';
+import Asset from '../models/Asset.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where server.js serves files stored by the local driver
+export const LOCAL_UPLOADS_ROUTE = '/uploads';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif'
+};
+
+export class StorageError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'StorageError';
+    this.status = status;
+  }
+}
+
+// DigitalOcean Spaces or Amazon S3 (config/spaces.js)
+const spacesDriver = {
+  configured: isSpacesConfigured,
+  missingConfig: 'SPACES_BUCKET is not configured in .env',
+  put: async ({ key, body, contentType }) => {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: spacesBucket(),
+      Key: key,
+      Body: body,
+      ACL: 'public-read',
+      ContentType: contentType,
+    }));
+    return spacesPublicUrl(key);
+  },
+  remove: async (key) => {
+    await s3Client.send(new DeleteObjectCommand({ Bucket: spacesBucket(), Key: key }));
+  },
+  list: async (prefix) => {
+    const objects = [];
+    let ContinuationToken;
+    do {
+      const page = await s3Client.send(new ListObjectsV2Command({ Bucket: spacesBucket(), Prefix: prefix, ContinuationToken }));
+      (page.Contents || []).forEach(object => objects.push({
+        key: object.Key,
+        url: spacesPublicUrl(object.Key),
+        lastModified: object.LastModified
+      }));
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return objects;
+  }
+};
+
+// Cloudinary identifies assets by public ID, which is the key without its extension. WebP
+// copies sit next to an original with the same name (full.jpg / full.webp), so their IDs get
+// a `-webp` suffix to stay separate assets.
+const WEBP_SUFFIX = '-webp';
+const cloudinaryPublicId = (key) => (/\.webp$/i.test(key)
+  ? `${key.replace(/\.[^/.]+$/, '')}${WEBP_SUFFIX}`
+  : key.replace(/\.[^/.]+$/, ''));
+
+const cloudinaryKey = (resource) => (resource.format === 'webp' && resource.public_id.endsWith(WEBP_SUFFIX)
+  ? `${resource.public_id.slice(0, -WEBP_SUFFIX.length)}.webp`
+  : `${resource.public_id}.${resource.format}`);
+
+const cloudinaryDriver = {
+  configured: isCloudinaryConfigured,
+  missingConfig: 'CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET must be set in .env',
+  put: ({ key, body }) => new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_stream(
+      { public_id: cloudinaryPublicId(key), resource_type: 'image', overwrite: true },
+      (error, result) => (error ? reject(error) : resolve(result.secure_url))
+    ).end(body);
+  }),
+  remove: async (key) => {
+    await cloudinary.uploader.destroy(cloudinaryPublicId(key), { resource_type: 'image' });
+  },
+  list: async (prefix) => {
+    const objects = [];
+    let cursor;
+    do {
+      const page = await cloudinary.api.resources({ type: 'upload', prefix: prefix || undefined, max_results: 500, next_cursor: cursor });
+      page.resources.forEach(resource => objects.push({
+        key: cloudinaryKey(resource),
+        url: resource.secure_url,
+        lastModified: new Date(resource.created_at)
+      }));
+      cursor = page.next_cursor;
+    } while (cursor);
+    return objects;
+  }
+};
+
+export const localStorageRoot = () => path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../uploads'));
+
+const localPath = (key) => {
+  const root = localStorageRoot();
+  const file = path.resolve(root, key);
+  if (!file.startsWith(root + path.sep)) {
+    throw new StorageError('Invalid storage key', 400);
+  }
+  return file;
+};
+
+const localUrl = (key) => {
+  const baseUrl = process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 5000}${LOCAL_UPLOADS_ROUTE}`;
+  return `${baseUrl.replace(/\/+$/, '')}/${key}`;
+};
+
+// Files on disk, served by Express; for development and offline testing
+const localDriver = {
+  configured: () => true,
+  put: async ({ key, body }) => {
+    const file = localPath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, body);
+    return localUrl(key);
+  },
+  remove: async (key) => {
+    await fs.rm(localPath(key), { force: true });
+  },
+  list: async (prefix) => {
+    const root = localStorageRoot();
+    const entries = await fs.readdir(root, { recursive: true, withFileTypes: true }).catch(() => []);
+    const objects = [];
+    for (const entry of entries) {
+      if (!entry.isFile()) continue;
+      const file = path.join(entry.parentPath || entry.path, entry.name);
+      const key = path.relative(root, file).split(path.sep).join('/');
+      if (!key.startsWith(prefix)) continue;
+      const { mtime } = await fs.stat(file);
+      objects.push({ key, url: localUrl(key), lastModified: mtime });
+    }
+    return objects;
+  }
+};
+
+const DRIVERS = {
+  spaces: spacesDriver,
+  s3: spacesDriver,
+  cloudinary: cloudinaryDriver,
+  local: localDriver
+};
+
+/**
+ * storageDriverName
+ * STORAGE_DRIVER (spaces, s3, cloudinary or local). Defaults to Spaces when a bucket
+ * is configured and to local disk otherwise.
+ */
+export const storageDriverName = () => {
+  const name = (process.env.STORAGE_DRIVER || (isSpacesConfigured() ? 'spaces' : 'local')).toLowerCase();
+  if (!DRIVERS[name]) {
+    throw new StorageError(`Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return name;
+};
+
+const driver = () => {
+  const selected = DRIVERS[storageDriverName()];
+  if (!selected.configured()) {
+    throw new StorageError(selected.missingConfig);
+  }
+  return selected;
+};
+
+// How long an upload waits for a delete of the same key to finish
+const RESERVE_ATTEMPTS = 20;
+const RESERVE_WAIT_MS = 250;
+
+/**
+ * reserveKey
+ * Marks `key` as being uploaded in the asset registry (registering it if new), waiting while
+ * the object is being deleted, so a delete never runs under an upload.
+ * Resolves to whether the registry entry was created.
+ */
+const reserveKey = async (key, uploadingAt) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await Asset.updateOne(
+        { key, ...Asset.unclaimed() },
+        { $set: { uploadingAt }, $setOnInsert: { url: '', refCounted: true } },
+        { upsert: true }
+      );
+      return result.upsertedCount === 1;
+    } catch (error) {
+      // The entry exists but is claimed by a delete (or another upload)
+      if (error.code !== 11000) throw error;
+      if (attempt >= RESERVE_ATTEMPTS) {
+        throw new StorageError(`"${key}" is being deleted or uploaded; try again`, 503);
+      }
+      await new Promise(resolve => setTimeout(resolve, RESERVE_WAIT_MS));
+    }
+  }
+};
+
+/**
+ * putObject
+ * Stores a buffer under `key` (publicly readable) with the configured driver, records it in
+ * the asset registry (unreferenced until a product or category uses it) and returns `{ key, url }`
+ */
+export const putObject = async ({ key, body, contentType }) => {
+  const selected = driver();
+  const uploadingAt = new Date();
+  const created = await reserveKey(key, uploadingAt);
+  const unreserve = () => (created
+    ? Asset.deleteOne({ key, uploadingAt })
+    : Asset.updateOne({ key, uploadingAt }, { $set: { uploadingAt: null } }));
+
+  let url;
+  try {
+    url = await selected.put({ key, body, contentType });
+  } catch (error) {
+    await unreserve();
+    if (error instanceof StorageError) throw error;
+    console.error(`Storage upload error (${storageDriverName()}):`, error);
+    throw new StorageError(`Upload to storage failed: ${error.message}`);
+  }
+
+  // Two keys must never resolve to the same stored object: the second upload would have
+  // replaced the first, and deleting either would remove both
+  if (await Asset.exists({ url, key: { $ne: key } })) {
+    await unreserve();
+    throw new StorageError(`Storage returned the URL of another object for "${key}": ${url}`);
+  }
+
+  await Asset.updateOne(
+    { key },
+    { $set: { url, driver: storageDriverName(), contentType: contentType || '', size: body.length, uploadingAt: null } },
+    { upsert: true }
+  );
+  return { key, url };
+};
+
+/**
+ * deleteObject
+ * Removes a stored object; deleting one that does not exist is not an error
+ */
+export const deleteObject = async (key) => {
+  const selected = driver();
+  try {
+    await selected.remove(key);
+  } catch (error) {
+    if (error instanceof StorageError) throw error;
+    throw new StorageError(`Delete from storage failed: ${error.message}`);
+  }
+};
+
+/**
+ * listObjects
+ * Every stored object whose key starts with `prefix`: `{ key, url, lastModified }`
+ */
+export const listObjects = async (prefix) => {
+  const selected = driver();
+  try {
+    return await selected.list(prefix);
+  } catch (error) {
+    throw new StorageError(`Listing storage failed: ${error.message}`);
+  }
+};
+
+/**
+ * parseDataUri
+ * `data:<mime>[;base64],<data>` -> `{ contentType, buffer }`, or null for anything else
+ */
+export const parseDataUri = (value) => {
+  const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(String(value || ''));
+  if (!match) return null;
+
+  const base64 = match[2].split(';').includes('base64');
+  return {
+    contentType: match[1] || 'application/octet-stream',
+    buffer: base64 ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]), 'utf8')
+  };
+};
+
+/**
+ * storeDataUri
+ * Moves an inline data URI into storage. The key is derived from the content, so storing
+ * the same image twice (e.g. a migration re-run after a crash) overwrites the same object.
+ */
+export const storeDataUri = (dataUri, folder) => {
+  const parsed = parseDataUri(dataUri);
+  if (!parsed) {
+    throw new StorageError('Not a data URI', 400);
+  }
+
+  // Raster images only: SVG or HTML served from storage could run scripts
+  const extension = EXTENSIONS[parsed.contentType];
+  if (!extension) {
+    throw new StorageError(`Unsupported data URI type "${parsed.contentType}"`, 415);
+  }
+
+  const hash = crypto.createHash('sha256').update(parsed.buffer).digest('hex').slice(0, 32);
+  return putObject({ key: `${folder}/${hash}.${extension}`, body: parsed.buffer, contentType: parsed.contentType });
+};
+
+export default {
+  LOCAL_UPLOADS_ROUTE,
+  StorageError,
+  storageDriverName,
+  localStorageRoot,
+  putObject,
+  deleteObject,
+  listObjects,
+  parseDataUri,
+  storeDataUri
+};
@@ -0,0 +1,61 @@
+// Counter store used for login throttling.
+// The default keeps counters in process memory, which is fine for a single instance.
+// When running several instances, call setThrottleStore() at startup with an object that
+// implements the same async methods on top of a shared backend (Redis, MongoDB, ...):
+//   hit(key, windowMs)  -> { count, firstAt, lastAt }   count attempts within a rolling window
+//   get(key)            -> { count, firstAt, lastAt } | null
+//   reset(key)          -> void
+export class MemoryThrottleStore {
+  constructor({ maxEntries = 10000 } = {}) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  // Drops expired entries; if the store is still full, evicts the oldest ones (Map keeps
+  // insertion order) so a flood of distinct keys cannot grow it past maxEntries
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+    for (const key of this.entries.keys()) {
+      if (this.entries.size < this.maxEntries) break;
+      this.entries.delete(key);
+    }
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= now) {
+      this.entries.delete(key);
+      if (this.entries.size >= this.maxEntries) this.prune(now);
+      entry = { count: 0, firstAt: now, lastAt: now, expiresAt: now + windowMs };
+      this.entries.set(key, entry);
+    }
+
+    entry.count += 1;
+    entry.lastAt = now;
+    return { count: entry.count, firstAt: entry.firstAt, lastAt: entry.lastAt };
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) return null;
+    return { count: entry.count, firstAt: entry.firstAt, lastAt: entry.lastAt };
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+}
+
+let store = new MemoryThrottleStore();
+
+export const getThrottleStore = () => store;
+
+export const setThrottleStore = (customStore) => {
+  store = customStore;
+};
+
+export default { MemoryThrottleStore, getThrottleStore, setThrottleStore };
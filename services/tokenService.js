@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+export const jwtSecret = () => process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export class TokenError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'TokenError';
+    this.status = status;
+  }
+}
+
+/**
+ * issueAccessToken
+ * Short-lived JWT carrying the user's current tokenVersion (checked by middleware/auth.js)
+ */
+export const issueAccessToken = (user) => jwt.sign(
+  { id: user._id, tv: user.tokenVersion || 0 },
+  jwtSecret(),
+  { expiresIn: ACCESS_TOKEN_EXPIRE }
+);
+
+/**
+ * verifyAccessToken
+ * Verifies the JWT and loads the active user it belongs to; returns null when the token
+ * is invalid, the user is gone/inactive or the token predates a "log out all sessions".
+ */
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, jwtSecret());
+  // Tracking and 2FA challenge tokens share the secret but are never access tokens
+  if (decoded.purpose) return null;
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (!user || !user.active || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    return null;
+  }
+  return user;
+};
+
+const createRefreshToken = async (user, req, family) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req ? req.ip || '' : '',
+    userAgent: req ? (req.headers['user-agent'] || '').slice(0, 300) : ''
+  });
+
+  return token;
+};
+
+/**
+ * issueSession
+ * Access + refresh token pair for a fresh login
+ */
+export const issueSession = async (user, req) => ({
+  token: issueAccessToken(user),
+  refreshToken: await createRefreshToken(user, req)
+});
+
+/**
+ * rotateRefreshToken
+ * Exchanges a refresh token for a new pair. Each refresh token works once: presenting one
+ * that was already rotated is treated as theft and revokes every token in its family.
+ */
+export const rotateRefreshToken = async (rawToken, req) => {
+  const tokenHash = hashToken(rawToken);
+
+  // Atomically claim the token so two concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+    if (known && known.revokedAt && known.revokedReason === 'rotated') {
+      await RefreshToken.updateMany(
+        { family: known.family, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'reuse-detected' } }
+      );
+      console.warn(`⚠️  Refresh token reuse detected for user ${known.user}; session family revoked`);
+    }
+    throw new TokenError('Invalid or expired refresh token');
+  }
+
+  const user = await User.findById(current.user);
+  if (!user || !user.active || current.tokenVersion !== (user.tokenVersion || 0)) {
+    throw new TokenError('Invalid or expired refresh token');
+  }
+
+  return {
+    user,
+    token: issueAccessToken(user),
+    refreshToken: await createRefreshToken(user, req, current.family)
+  };
+};
+
+/**
+ * revokeRefreshToken
+ * Logs out one session (the family of the given refresh token)
+ */
+export const revokeRefreshToken = async (rawToken) => {
+  const token = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+  if (!token) return false;
+
+  await RefreshToken.updateMany(
+    { family: token.family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+  return true;
+};
+
+/**
+ * revokeAllSessions
+ * Bumps the user's tokenVersion (killing outstanding access tokens) and revokes all refresh tokens
+ */
+export const revokeAllSessions = async (user, reason = 'logout-all') => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select('-password');
+
+  await RefreshToken.updateMany(
+    { user: user._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return updated;
+};
+
+export default {
+  jwtSecret,
+  issueAccessToken,
+  verifyAccessToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  TokenError
+};
@@ -0,0 +1,62 @@
+import jwt from 'jsonwebtoken';
+import { jwtSecret } from './tokenService.js';
+
+const TRACKING_TOKEN_PURPOSE = 'order-tracking';
+
+/**
+ * createTrackingToken
+ * Signed token that lets a shopper look up one order without an account or their email.
+ */
+export const createTrackingToken = (order) => jwt.sign(
+  { orderId: order.orderId, purpose: TRACKING_TOKEN_PURPOSE },
+  jwtSecret(),
+  { expiresIn: process.env.TRACKING_TOKEN_EXPIRE || '180d' }
+);
+
+/**
+ * verifyTrackingToken
+ * Returns the order ID the token was issued for, or null if it is invalid/expired.
+ */
+export const verifyTrackingToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, jwtSecret());
+    return decoded.purpose === TRACKING_TOKEN_PURPOSE ? decoded.orderId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const emailMatches = (order, email) =>
+  Boolean(email) && order.customer.email.toLowerCase().trim() === String(email).toLowerCase().trim();
+
+/**
+ * toTrackingView
+ * Public, redacted view of an order: no contact details, street address, staff or payment internals.
+ */
+export const toTrackingView = (order) => ({
+  orderId: order.orderId,
+  status: order.status,
+  paymentStatus: order.paymentStatus,
+  placedAt: order.createdAt,
+  timeline: (order.statusHistory || [])
+    .filter((entry, index, history) => index === 0 || entry.status !== history[index - 1].status)
+    .map(entry => ({ status: entry.status, at: entry.at })),
+  items: order.items.map(item => ({
+    name: item.name,
+    price: item.price,
+    quantity: item.quantity,
+    selectedSize: item.selectedSize,
+    selectedColor: item.selectedColor,
+    customization: item.customization
+  })),
+  total: order.total,
+  shipping: {
+    city: order.customer.city || '',
+    country: order.customer.country || '',
+    carrier: order.tracking?.carrier || '',
+    trackingNumber: order.tracking?.trackingNumber || '',
+    trackingUrl: order.tracking?.trackingUrl || ''
+  }
+});
+
+export default { createTrackingToken, verifyTrackingToken, emailMatches, toTrackingView };
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { jwtSecret } from './tokenService.js';
+import { generateTotpSecret, buildOtpauthUri, matchTotpStep } from '../utils/totp.js';
+
+const CHALLENGE_TOKEN_PURPOSE = 'two-factor-challenge';
+const CHALLENGE_TOKEN_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Crafting Sign';
+
+export class TwoFactorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+  }
+}
+
+// TOTP secrets have to be readable again to check codes, so they are encrypted
+// (AES-256-GCM) rather than hashed. The key defaults to one derived from JWT_SECRET.
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || jwtSecret())
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const hashRecoveryCodes = (codes) => codes.map(code => User.hashToken(normalizeRecoveryCode(code)));
+
+// Accepts each time step at most once per user, atomically
+const claimStep = async (userId, step) => {
+  const result = await User.updateOne(
+    { _id: userId, $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }] },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * verifyTotpCode
+ * Checks a code from the user's authenticator app; a code that was already used is rejected
+ */
+export const verifyTotpCode = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactorSecret');
+  if (!user || !user.twoFactorEnabled || !user.twoFactorSecret) return false;
+
+  const step = matchTotpStep(decryptSecret(user.twoFactorSecret), code);
+  return step !== null && claimStep(user._id, step);
+};
+
+/**
+ * useRecoveryCode
+ * Consumes one recovery code; returns how many are left, or null when the code is not valid
+ */
+export const useRecoveryCode = async (userId, code) => {
+  const hash = User.hashToken(normalizeRecoveryCode(code));
+  const updated = await User.findOneAndUpdate(
+    { _id: userId, twoFactorEnabled: true, twoFactorRecoveryCodeHashes: hash },
+    { $pull: { twoFactorRecoveryCodeHashes: hash } },
+    { new: true }
+  ).select('+twoFactorRecoveryCodeHashes');
+
+  return updated ? updated.twoFactorRecoveryCodeHashes.length : null;
+};
+
+/**
+ * startEnrollment
+ * Creates a new secret for the user to scan; 2FA only turns on once confirmEnrollment sees a valid code
+ */
+export const startEnrollment = async (user) => {
+  if (user.twoFactorEnabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: encryptSecret(secret) } });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+  };
+};
+
+/**
+ * confirmEnrollment
+ * Turns 2FA on after the first valid code and returns the one-time recovery codes (shown only once)
+ */
+export const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactorPendingSecret');
+  if (!user || !user.twoFactorPendingSecret) {
+    throw new TwoFactorError('Start two-factor enrollment first');
+  }
+  if (user.twoFactorEnabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled');
+  }
+
+  const step = matchTotpStep(decryptSecret(user.twoFactorPendingSecret), code);
+  if (step === null) {
+    throw new TwoFactorError('Invalid two-factor code');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorLastUsedStep: step,
+      twoFactorRecoveryCodeHashes: hashRecoveryCodes(recoveryCodes)
+    },
+    $unset: { twoFactorPendingSecret: '' }
+  });
+
+  return recoveryCodes;
+};
+
+/**
+ * regenerateRecoveryCodes
+ * Replaces every recovery code with a fresh set
+ */
+export const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId, twoFactorEnabled: true },
+    { $set: { twoFactorRecoveryCodeHashes: hashRecoveryCodes(recoveryCodes) } }
+  );
+  return recoveryCodes;
+};
+
+/**
+ * disableTwoFactor
+ * Removes the secret and recovery codes (the user's own choice, or an admin reset)
+ */
+export const disableTwoFactor = async (userId) => {
+  await User.updateOne({ _id: userId }, {
+    $set: { twoFactorEnabled: false, twoFactorEnabledAt: null, twoFactorLastUsedStep: null },
+    $unset: { twoFactorSecret: '', twoFactorPendingSecret: '', twoFactorRecoveryCodeHashes: '' }
+  });
+};
+
+/**
+ * createChallengeToken
+ * Short-lived token proving the password step of a login succeeded; only
+ * POST /api/auth/login/2fa accepts it (verifyAccessToken rejects it)
+ */
+export const createChallengeToken = (user) => jwt.sign(
+  { id: user._id, tv: user.tokenVersion || 0, purpose: CHALLENGE_TOKEN_PURPOSE },
+  jwtSecret(),
+  { expiresIn: CHALLENGE_TOKEN_EXPIRE }
+);
+
+/**
+ * verifyChallengeToken
+ * Returns `{ id, tv }` of a valid challenge token, or null
+ */
+export const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, jwtSecret());
+    return decoded.purpose === CHALLENGE_TOKEN_PURPOSE ? { id: decoded.id, tv: decoded.tv || 0 } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export default {
+  TwoFactorError,
+  verifyTotpCode,
+  useRecoveryCode,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken
+};
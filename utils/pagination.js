@@ -0,0 +1,178 @@
+// Shared page/cursor pagination, sorting and field selection for list endpoints.
+//
+// Query parameters:
+// - limit: page size (default 20, max 100)
+// - page: 1-based page number, or cursor: the nextCursor of the previous response
+// - sort: a whitelisted field, prefixed with "-" for descending (e.g. sort=-price), or "relevance"
+//   for text searches (best match first; page-based only)
+// - fields: comma-separated fields to return (fields=name,price) or to leave out (fields=-images)
+//
+// Responses use the envelope { data, pagination: { page, limit, total, totalPages, hasMore, nextCursor } }.
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+export class PaginationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'PaginationError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort value and _id
+const encodeCursor = (doc, field) => Buffer
+  .from(JSON.stringify({ v: doc.get ? doc.get(field) : doc[field], id: String(doc._id) }))
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || !/^[a-f0-9]{24}$/i.test(id)) return null;
+    return { value: v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Fields that can be named in `fields`; _id is always returned
+const topLevelPaths = (Model) => [...new Set(
+  Object.keys(Model.schema.paths).map(path => path.split('.')[0])
+)].filter(path => path !== '__v' && path !== '_id');
+
+const parsePositiveInt = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 ? number : NaN;
+};
+
+export const RELEVANCE = 'relevance';
+
+/**
+ * parseListQuery
+ * Validates limit/page/cursor/sort/fields from req.query against the model and the
+ * sort whitelist. Throws PaginationError listing every invalid parameter.
+ * Pass `relevance: true` when the filter contains a $text search to allow (and default to) sort=relevance.
+ */
+export const parseListQuery = (Model, query, { sortFields, defaultSort = '-createdAt', relevance = false }) => {
+  const errors = [];
+
+  const limit = parsePositiveInt(query.limit, DEFAULT_LIMIT);
+  if (Number.isNaN(limit) || limit > MAX_LIMIT) {
+    errors.push({ param: 'limit', message: `Limit must be between 1 and ${MAX_LIMIT}` });
+  }
+
+  const page = parsePositiveInt(query.page, 1);
+  if (Number.isNaN(page)) {
+    errors.push({ param: 'page', message: 'Page must be a positive integer' });
+  }
+
+  const allowedSorts = relevance ? [RELEVANCE, ...sortFields] : sortFields;
+  const sortParam = String(query.sort || (relevance ? RELEVANCE : defaultSort));
+  const sortField = sortParam.replace(/^[-+]/, '');
+  // Relevance is always best match first
+  const direction = sortParam.startsWith('-') || sortField === RELEVANCE ? -1 : 1;
+  if (!allowedSorts.includes(sortField)) {
+    errors.push({ param: 'sort', message: `Sort must be one of: ${allowedSorts.join(', ')} (prefix with - for descending)` });
+  }
+  if (sortField === RELEVANCE && query.cursor) {
+    errors.push({ param: 'cursor', message: 'Cursor pagination is not available when sorting by relevance; use page' });
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      errors.push({ param: 'cursor', message: 'Invalid cursor' });
+    }
+  }
+
+  let projection = null;
+  if (query.fields) {
+    const requested = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+    const exclude = requested.every(field => field.startsWith('-'));
+    const allowed = topLevelPaths(Model);
+    const unknown = requested.map(field => field.replace(/^-/, '')).filter(field => !allowed.includes(field));
+
+    if (!exclude && requested.some(field => field.startsWith('-'))) {
+      errors.push({ param: 'fields', message: 'Fields cannot mix included and excluded (-) fields' });
+    } else if (unknown.length > 0) {
+      errors.push({ param: 'fields', message: `Unknown fields: ${unknown.join(', ')}` });
+    } else if (requested.length > 0) {
+      projection = Object.fromEntries(requested.map(field => [field.replace(/^-/, ''), exclude ? 0 : 1]));
+      // The cursor needs the sort value of the last item
+      if (sortField !== RELEVANCE) {
+        if (!exclude) projection[sortField] = 1;
+        if (exclude) delete projection[sortField];
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new PaginationError('Invalid list parameters', errors);
+  }
+
+  return { limit, page, cursor, sort: { field: sortField, direction }, projection };
+};
+
+const selectsPath = (projection, path) => {
+  if (!projection) return true;
+  const root = path.split('.')[0];
+  const values = Object.values(projection);
+  return values.includes(1) ? projection[root] === 1 : projection[root] !== 0;
+};
+
+/**
+ * paginate
+ * Runs the list query for `filter` with options from parseListQuery and returns the envelope.
+ * `populate` is a list of [path, select] pairs, skipped when the path is not selected.
+ */
+export const paginate = async (Model, filter, options, { populate = [] } = {}) => {
+  const { limit, page, cursor, sort, projection } = options;
+  const { field, direction } = sort;
+
+  let query = filter;
+  if (cursor) {
+    const op = direction === 1 ? '$gt' : '$lt';
+    query = {
+      $and: [
+        filter,
+        { $or: [{ [field]: { [op]: cursor.value } }, { [field]: cursor.value, _id: { [op]: cursor.id } }] }
+      ]
+    };
+  }
+
+  // Text search relevance: expose the score and sort on it (no cursor, see parseListQuery)
+  const byRelevance = field === RELEVANCE;
+  const score = { $meta: 'textScore' };
+
+  // _id breaks ties so pages never overlap or skip items with the same sort value
+  let find = Model.find(query, byRelevance ? { ...projection, score } : projection)
+    .sort(byRelevance ? { score, _id: -1 } : { [field]: direction, _id: direction })
+    .skip(cursor ? 0 : (page - 1) * limit)
+    .limit(limit + 1);
+
+  populate
+    .filter(([path]) => selectsPath(projection, path))
+    .forEach(([path, select]) => { find = find.populate(path, select); });
+
+  const [docs, total] = await Promise.all([find, Model.countDocuments(filter)]);
+
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    data,
+    pagination: {
+      page: cursor ? null : page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor: hasMore && !byRelevance ? encodeCursor(data[data.length - 1], field) : null
+    }
+  };
+};
+
+export default { DEFAULT_LIMIT, MAX_LIMIT, RELEVANCE, PaginationError, parseListQuery, paginate };
@@ -0,0 +1,4 @@
+// Escape user input before embedding it in a RegExp / MongoDB $regex
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export default { escapeRegex };
@@ -0,0 +1,14 @@
+const MAX_SLUG_LENGTH = 80;
+
+// "Café Welcome Sign (A1)" -> "cafe-welcome-sign-a1"
+export const slugify = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, MAX_SLUG_LENGTH)
+  .replace(/-+$/, '');
+
+export default { slugify };